@@ -1,18 +1,126 @@
 require("dotenv").config();
+const path = require("path");
 
 const config = {
   port: process.env.PORT || 3000,
   uppromoteApiKey: process.env.UPPROMOTE_API_KEY,
   sealApiToken: process.env.SEAL_API_TOKEN,
+  // Upper bound on pages read from Seal's subscription search
+  sealMaxPages: Number(process.env.SEAL_MAX_PAGES || 20),
   webhookSharedSecret: process.env.WEBHOOK_SHARED_SECRET,
+  // Seal webhooks are verified with an HMAC of the raw body. The old
+  // ?token=<WEBHOOK_SHARED_SECRET> check is only used when explicitly enabled.
+  sealWebhookSecret: process.env.SEAL_WEBHOOK_SECRET,
+  sealWebhookSignatureHeader:
+    process.env.SEAL_WEBHOOK_SIGNATURE_HEADER || "X-Seal-Hmac-Sha256",
+  sealAllowQueryToken: process.env.SEAL_WEBHOOK_ALLOW_QUERY_TOKEN === "true",
   // subscriptionDiscountCode: process.env.SUBSCRIPTION_DISCOUNT_CODE || null,
   uppromoteWebhookSecret: process.env.UPPROMOTE_WEBHOOK_SECRET,
   // Shopify Admin API settings for dynamic discount creation
   shopifyStore: process.env.SHOPIFY_STORE, // e.g., 'your-store.myshopify.com'
   shopifyAdminApiToken: process.env.SHOPIFY_ADMIN_ACCESS_TOKEN,
-  shopifyApiVersion: process.env.SHOPIFY_API_VERSION || '2024-01'
+  shopifyApiVersion: process.env.SHOPIFY_API_VERSION || '2024-01',
+  // Shopify app secret used to sign orders webhooks (X-Shopify-Hmac-Sha256)
+  shopifyWebhookSecret: process.env.SHOPIFY_WEBHOOK_SECRET,
+  // Codes applied to a subscription but not redeemed after this many days are flagged
+  unredeemedCodeFlagDays: Number(process.env.UNREDEEMED_CODE_FLAG_DAYS || 45),
+  // Discount code lifecycle: Shopify expiry (0 = never expires), how often
+  // expired/orphaned codes are cleaned up (0 = never), "deactivate" or
+  // "delete", and how long a minted code may stay unattached to Seal
+  discountCodeExpiryDays: Number(process.env.DISCOUNT_CODE_EXPIRY_DAYS ?? 180),
+  codeCleanupIntervalMs: Number(process.env.CODE_CLEANUP_INTERVAL_MS ?? 60 * 60 * 1000),
+  codeCleanupAction: process.env.CODE_CLEANUP_ACTION || "deactivate",
+  orphanCodeGraceHours: Number(process.env.ORPHAN_CODE_GRACE_HOURS || 24),
+  // Discount code generation. Templates support {random}, {referralId} and
+  // {subscriptionId}; {random} is required so codes cannot be guessed.
+  affiliateCodeTemplate: process.env.AFFILIATE_CODE_TEMPLATE || "AFFILIATE-{random}",
+  billingCodeTemplate: process.env.BILLING_CODE_TEMPLATE || "CREDIT-{random}",
+  discountCodeRandomLength: Number(process.env.DISCOUNT_CODE_RANDOM_LENGTH || 10),
+  // Restrict each code to the Shopify customer with the subscriber's email.
+  // With no such customer the mint fails and the credit stays on the ledger,
+  // unless ALLOW_UNRESTRICTED_CODES=true lets the code fall back to everyone.
+  restrictCodesToCustomer: process.env.RESTRICT_CODES_TO_CUSTOMER !== "false",
+  allowUnrestrictedCodes: process.env.ALLOW_UNRESTRICTED_CODES === "true",
+  // Comma-separated discount classes credit codes combine with:
+  // "order", "product", "shipping" (empty = combine with nothing)
+  discountCombinesWith: (process.env.DISCOUNT_COMBINES_WITH ?? "order,product,shipping")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean),
+  // When affiliate credit is spent: "approval" (code applied when the
+  // referral is approved), "billing" (on the Seal subscription webhook) or
+  // "scheduled" (held until CREDIT_APPLY_WINDOW_HOURS before the
+  // subscription's next billing date, checked every
+  // CREDIT_SCHEDULER_INTERVAL_MS; 0 disables the scheduler)
+  creditSpendMode: process.env.CREDIT_SPEND_MODE || "approval",
+  creditApplyWindowHours: Number(process.env.CREDIT_APPLY_WINDOW_HOURS || 48),
+  creditSchedulerIntervalMs: Number(process.env.CREDIT_SCHEDULER_INTERVAL_MS ?? 15 * 60 * 1000),
+  // Who receives a referral's credit: "affiliate", "customer" (the referred
+  // customer) or "split" (CREDIT_ATTRIBUTION_AFFILIATE_PERCENT to the
+  // affiliate, the rest to the customer). With the fallback on, a payload
+  // missing the chosen recipient's email credits the other party instead.
+  creditAttribution: process.env.CREDIT_ATTRIBUTION || "customer",
+  creditAttributionAffiliatePercent: Number(
+    process.env.CREDIT_ATTRIBUTION_AFFILIATE_PERCENT ?? 50
+  ),
+  creditAttributionFallback: process.env.CREDIT_ATTRIBUTION_FALLBACK !== "false",
+  // Which ACTIVE subscriptions get credit: "all", "soonest",
+  // "highest-value" or "split" (see services/subscriptionSelection.js)
+  subscriptionStrategy: process.env.SUBSCRIPTION_STRATEGY || "all",
+  // Shared HTTP client (utils/httpClient.js): retries of idempotent calls
+  // and the longest backoff / Retry-After wait we accept before failing
+  httpMaxRetries: Number(process.env.HTTP_MAX_RETRIES ?? 3),
+  httpRetryBaseDelayMs: Number(process.env.HTTP_RETRY_BASE_DELAY_MS || 500),
+  httpRetryMaxDelayMs: Number(process.env.HTTP_RETRY_MAX_DELAY_MS || 30000),
+  // Circuit breaker per provider: consecutive failed calls before it opens,
+  // and how long it stays open before a probe
+  circuitFailureThreshold: Number(process.env.CIRCUIT_FAILURE_THRESHOLD || 5),
+  circuitOpenMs: Number(process.env.CIRCUIT_OPEN_MS || 30000),
+  // Outbox worker for UpPromote adjustments
+  outboxPollIntervalMs: Number(process.env.OUTBOX_POLL_INTERVAL_MS || 30000),
+  outboxMaxAttempts: Number(process.env.OUTBOX_MAX_ATTEMPTS || 8),
+  outboxBaseDelayMs: Number(process.env.OUTBOX_BASE_DELAY_MS || 60000),
+  outboxMaxDelayMs: Number(process.env.OUTBOX_MAX_DELAY_MS || 6 * 60 * 60 * 1000),
+  // Job queue for webhook processing (Seal / Shopify / UpPromote steps run
+  // after the webhook was acknowledged)
+  jobPollIntervalMs: Number(process.env.JOB_POLL_INTERVAL_MS || 5000),
+  jobMaxAttempts: Number(process.env.JOB_MAX_ATTEMPTS || 6),
+  jobBaseDelayMs: Number(process.env.JOB_BASE_DELAY_MS || 30000),
+  jobMaxDelayMs: Number(process.env.JOB_MAX_DELAY_MS || 60 * 60 * 1000),
+  // A webhook event left "processing" this long without a job to finish it
+  // (e.g. the process died mid-handler) may be claimed again by a retry
+  eventClaimTimeoutMs: Number(process.env.EVENT_CLAIM_TIMEOUT_MS || 15 * 60 * 1000),
+  // Completed jobs and webhook events, and delivered or resolved outbox
+  // items, are pruned RETENTION_DAYS after they finished (0 keeps them
+  // forever), checked every RETENTION_INTERVAL_MS
+  retentionDays: Number(process.env.RETENTION_DAYS ?? 30),
+  retentionIntervalMs: Number(process.env.RETENTION_INTERVAL_MS ?? 6 * 60 * 60 * 1000),
+  // Bearer token for the /admin API (admin routes are disabled when unset)
+  adminApiToken: process.env.ADMIN_API_TOKEN,
+  // Per-customer locks around credit spending ("memory": this process only).
+  // LOCK_TIMEOUT_MS defaults to what a locked spend can take, see below.
+  lockDriver: process.env.LOCK_DRIVER || "memory",
+  lockTimeoutMs: Number(process.env.LOCK_TIMEOUT_MS || 0),
+  // Persistent ledger storage ("file" or "memory")
+  storageDriver: process.env.STORAGE_DRIVER || "file",
+  storageFile:
+    process.env.STORAGE_FILE ||
+    path.join(process.env.DATA_DIR || "data", "bridge-state.json")
 };
 
+// A waiter must outlast the spend holding the lock: a handful of provider
+// calls (find subscriptions, look up the customer, mint, attach), each of
+// which may time out on every attempt (20s for the slowest client) and
+// wait the longest backoff between retries
+if (!config.lockTimeoutMs) {
+  const LOCKED_CALLS = 4;
+  const SLOWEST_CALL_TIMEOUT_MS = 20000;
+  const worstCallMs =
+    (config.httpMaxRetries + 1) * SLOWEST_CALL_TIMEOUT_MS +
+    config.httpMaxRetries * config.httpRetryMaxDelayMs;
+  config.lockTimeoutMs = LOCKED_CALLS * worstCallMs;
+}
+
 if (!config.uppromoteApiKey) {
   console.warn("⚠ UPPROMOTE_API_KEY is not set in .env");
 }
@@ -23,5 +131,50 @@ if (!config.shopifyStore || !config.shopifyAdminApiToken) {
   console.warn("⚠ Shopify API not configured - dynamic discount creation will use fallback static codes");
   console.warn("  Set SHOPIFY_STORE and SHOPIFY_ADMIN_API_TOKEN for dynamic discount code creation");
 }
+if (!["approval", "billing", "scheduled"].includes(config.creditSpendMode)) {
+  console.warn(`⚠ Unknown CREDIT_SPEND_MODE "${config.creditSpendMode}" - using "approval"`);
+  config.creditSpendMode = "approval";
+}
+if (!(config.creditApplyWindowHours > 0)) {
+  console.warn("⚠ CREDIT_APPLY_WINDOW_HOURS must be positive - using 48");
+  config.creditApplyWindowHours = 48;
+}
+if (!["affiliate", "customer", "split"].includes(config.creditAttribution)) {
+  console.warn(`⚠ Unknown CREDIT_ATTRIBUTION "${config.creditAttribution}" - using "customer"`);
+  config.creditAttribution = "customer";
+}
+if (
+  !(config.creditAttributionAffiliatePercent >= 0 && config.creditAttributionAffiliatePercent <= 100)
+) {
+  console.warn("⚠ CREDIT_ATTRIBUTION_AFFILIATE_PERCENT must be between 0 and 100 - using 50");
+  config.creditAttributionAffiliatePercent = 50;
+}
+if (!["all", "soonest", "highest-value", "split"].includes(config.subscriptionStrategy)) {
+  console.warn(`⚠ Unknown SUBSCRIPTION_STRATEGY "${config.subscriptionStrategy}" - using "all"`);
+  config.subscriptionStrategy = "all";
+}
+if (!["deactivate", "delete"].includes(config.codeCleanupAction)) {
+  console.warn(`⚠ Unknown CODE_CLEANUP_ACTION "${config.codeCleanupAction}" - using "deactivate"`);
+  config.codeCleanupAction = "deactivate";
+}
+for (const key of ["affiliateCodeTemplate", "billingCodeTemplate"]) {
+  if (!config[key].includes("{random}")) {
+    console.warn(`⚠ ${key} "${config[key]}" has no {random} part - appending one so codes stay unguessable`);
+    config[key] += "-{random}";
+  }
+}
+if (config.discountCodeRandomLength < 8) {
+  console.warn("⚠ DISCOUNT_CODE_RANDOM_LENGTH below 8 - using 8");
+  config.discountCodeRandomLength = 8;
+}
+if (!config.sealWebhookSecret) {
+  console.warn("⚠ SEAL_WEBHOOK_SECRET is not set - Seal webhook signatures cannot be verified");
+}
+if (config.sealAllowQueryToken) {
+  console.warn("⚠ SEAL_WEBHOOK_ALLOW_QUERY_TOKEN=true - legacy ?token= auth accepted for Seal webhooks");
+}
+if (config.storageDriver === "memory") {
+  console.warn("⚠ STORAGE_DRIVER=memory - credit ledger will be lost on restart");
+}
 
 module.exports = config;
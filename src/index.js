@@ -2,8 +2,32 @@
 const express = require("express");
 const config = require("./config");
 const { log, error } = require("./utils/logger");
+const store = require("./storage");
 const uppromoteWebhooks = require("./routes/uppromoteWebhooks");
 const sealWebhooks = require("./routes/sealWebhooks");
+const shopifyWebhooks = require("./routes/shopifyWebhooks");
+const adminApi = require("./routes/adminApi");
+const { getCircuitStates } = require("./utils/circuitBreaker");
+const {
+  startOutboxWorker,
+  stopOutboxWorker
+} = require("./services/adjustmentOutbox");
+const {
+  startJobWorker,
+  stopJobWorker
+} = require("./services/jobQueue");
+const {
+  startCodeCleanupWorker,
+  stopCodeCleanupWorker
+} = require("./services/codeLifecycle");
+const {
+  startCreditScheduler,
+  stopCreditScheduler
+} = require("./services/creditScheduler");
+const {
+  startRetentionWorker,
+  stopRetentionWorker
+} = require("./services/retention");
 
 const app = express();
 
@@ -12,8 +36,12 @@ const app = express();
 // -------------------------
 app.use((req, res, next) => {
   const startTime = Date.now();
+  // Never log shared secrets passed in the query string (legacy Seal auth)
+  const query = { ...req.query };
+  if (query.token) query.token = "[redacted]";
+
   log(`[Request] ${req.method} ${req.path}`, {
-    query: req.query,
+    query,
     headers: {
       "content-type": req.headers["content-type"],
       "user-agent": req.headers["user-agent"]
@@ -34,14 +62,16 @@ app.use((req, res, next) => {
 // ------------------------------------------------------
 // Body parsers
 // NOTE: order matters!
-// - raw() for UpPromote (for HMAC verification)
+// - raw() for UpPromote, Seal and Shopify (for HMAC verification)
 // - json() for everything else
 // ------------------------------------------------------
 
-// UpPromote webhooks need raw body for signature verification
+// Webhooks need the raw body for signature verification
 app.use("/webhooks/uppromote", express.raw({ type: "application/json" }));
+app.use("/webhooks/seal", express.raw({ type: "application/json" }));
+app.use("/webhooks/shopify", express.raw({ type: "application/json" }));
 
-// All other routes (including Seal) use JSON parser
+// All other routes use JSON parser
 app.use(express.json());
 
 // -------------------------
@@ -49,7 +79,16 @@ app.use(express.json());
 // -------------------------
 app.get("/", (req, res) => {
   log("[Health] Health check endpoint accessed");
-  res.json({ ok: true, message: "Affiliate–Seal integration running" });
+  // Degraded: a provider's circuit is open; webhooks are still accepted and
+  // their work is parked until it is back
+  const circuits = getCircuitStates();
+  const degraded = Object.values(circuits).some((c) => c.state !== "closed");
+  res.json({
+    ok: true,
+    degraded,
+    circuits,
+    message: "Affiliate–Seal integration running"
+  });
 });
 
 // -------------------------
@@ -57,6 +96,12 @@ app.get("/", (req, res) => {
 // -------------------------
 app.use("/webhooks/uppromote", uppromoteWebhooks);
 app.use("/webhooks/seal", sealWebhooks);
+app.use("/webhooks/shopify", shopifyWebhooks);
+
+// -------------------------
+// Admin API (bearer token)
+// -------------------------
+app.use("/admin", adminApi);
 
 // -------------------------
 // 404 handler
@@ -86,6 +131,19 @@ app.use((err, req, res, next) => {
 // -------------------------
 let server;
 
+// Load the persisted credit ledger (runs pending migrations) before listening
+store.init();
+// Deliver queued UpPromote adjustments in the background
+startOutboxWorker();
+// Run queued webhook jobs (resumes jobs interrupted by a restart)
+startJobWorker();
+// Retire expired and orphaned discount codes in the background
+startCodeCleanupWorker();
+// Attach held credit shortly before each billing (CREDIT_SPEND_MODE=scheduled)
+startCreditScheduler();
+// Prune finished jobs, events and outbox items after RETENTION_DAYS
+startRetentionWorker();
+
 server = app.listen(config.port, () => {
   log(`[Startup] Server listening on port ${config.port}`);
   log(`[Startup] Environment: ${process.env.NODE_ENV || "development"}`);
@@ -93,10 +151,26 @@ server = app.listen(config.port, () => {
     uppromoteApiKey: config.uppromoteApiKey ? "✓ Set" : "✗ Missing",
     sealApiToken: config.sealApiToken ? "✓ Set" : "✗ Missing",
     webhookSharedSecret: config.webhookSharedSecret ? "✓ Set" : "✗ Missing",
+    sealWebhookSecret: config.sealWebhookSecret ? "✓ Set" : "✗ Missing",
+    shopifyWebhookSecret: config.shopifyWebhookSecret ? "✓ Set" : "✗ Missing",
+    sealLegacyQueryToken: config.sealAllowQueryToken ? "enabled" : "disabled",
     // subscriptionDiscountCode: config.subscriptionDiscountCode || "Not configured",
     uppromoteWebhookSecret: config.uppromoteWebhookSecret
       ? "✓ Webhook secret set"
-      : "✗ Webhook secret missing"
+      : "✗ Webhook secret missing",
+    storage: `${config.storageDriver} (${config.storageFile})`,
+    discountCodeExpiry: config.discountCodeExpiryDays
+      ? `${config.discountCodeExpiryDays} days`
+      : "never",
+    codeCleanup: config.codeCleanupIntervalMs
+      ? `${config.codeCleanupAction} every ${config.codeCleanupIntervalMs}ms`
+      : "disabled",
+    creditSpendMode:
+      config.creditSpendMode === "scheduled"
+        ? `scheduled (${config.creditApplyWindowHours}h before billing)`
+        : config.creditSpendMode,
+    retention: config.retentionDays ? `${config.retentionDays} days` : "keep forever",
+    adminApiToken: config.adminApiToken ? "✓ Set" : "✗ Missing (admin API disabled)"
   });
 });
 
@@ -126,6 +200,11 @@ process.on("uncaughtException", (err) => {
 // -------------------------
 function shutdown(signal) {
   log(`${signal} received, shutting down gracefully`);
+  stopOutboxWorker();
+  stopJobWorker();
+  stopCodeCleanupWorker();
+  stopCreditScheduler();
+  stopRetentionWorker();
   if (server) {
     server.close(() => {
       log("Server closed");
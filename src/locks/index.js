@@ -0,0 +1,56 @@
+// src/locks/index.js
+const config = require("../config");
+const { log } = require("../utils/logger");
+const { createMemoryLockAdapter } = require("./memoryAdapter");
+
+/**
+ * Named locks used to serialize read-decide-write sequences that span
+ * awaits (e.g. check a customer's balance, mint and attach a code, spend).
+ *
+ * An adapter only has to implement `acquire(key, { timeoutMs })`, resolving
+ * with a release function; LOCK_DRIVER picks it. A shared-store adapter
+ * (e.g. Redis) plugs in here once several instances run. Services go
+ * through `withLock()` and never touch the adapter.
+ *
+ * Locks are not reentrant: `fn` must not take the same key again.
+ */
+function createAdapter() {
+  switch (config.lockDriver) {
+    case "memory":
+      return createMemoryLockAdapter();
+    default:
+      throw new Error(`Unknown LOCK_DRIVER: ${config.lockDriver}`);
+  }
+}
+
+const adapter = createAdapter();
+
+/**
+ * Run `fn` while holding the lock for `key`. Rejects with an ELOCKTIMEOUT
+ * error when the lock is not free within LOCK_TIMEOUT_MS.
+ *
+ * @template T
+ * @param {string} key - e.g. "customer:jane@example.com"
+ * @param {() => Promise<T>|T} fn
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs]
+ * @returns {Promise<T>}
+ */
+async function withLock(key, fn, { timeoutMs = config.lockTimeoutMs } = {}) {
+  const waitStarted = Date.now();
+  const release = await adapter.acquire(key, { timeoutMs });
+  const waitedMs = Date.now() - waitStarted;
+  if (waitedMs > 1000) {
+    log("[Locks] Waited for lock", { key, waitedMs });
+  }
+
+  try {
+    return await fn();
+  } finally {
+    release();
+  }
+}
+
+module.exports = {
+  withLock,
+};
@@ -0,0 +1,67 @@
+// src/locks/memoryAdapter.js
+
+/**
+ * In-process lock adapter. Waiters for a key are queued and granted the lock
+ * in arrival order. Only serializes callers within this process; running
+ * several instances needs an adapter backed by a shared store.
+ */
+function createMemoryLockAdapter() {
+  // key -> queue of waiters; the first one holds the lock
+  const queues = new Map();
+
+  function release(key, waiter) {
+    const queue = queues.get(key);
+    if (!queue || queue[0] !== waiter) return;
+    queue.shift();
+    if (queue.length === 0) {
+      queues.delete(key);
+    } else {
+      queue[0].grant();
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @param {{timeoutMs:number}} options
+   * @returns {Promise<function(): void>} resolves with the release function
+   */
+  function acquire(key, { timeoutMs }) {
+    return new Promise((resolve, reject) => {
+      let queue = queues.get(key);
+      if (!queue) {
+        queue = [];
+        queues.set(key, queue);
+      }
+
+      let timer = null;
+      const waiter = {
+        grant: () => {
+          if (timer) clearTimeout(timer);
+          resolve(() => release(key, waiter));
+        },
+      };
+      queue.push(waiter);
+
+      if (queue.length === 1) {
+        waiter.grant();
+        return;
+      }
+      if (timeoutMs > 0) {
+        timer = setTimeout(() => {
+          const index = queue.indexOf(waiter);
+          if (index > 0) queue.splice(index, 1);
+          const err = new Error(`Timed out after ${timeoutMs}ms waiting for lock "${key}"`);
+          err.code = "ELOCKTIMEOUT";
+          reject(err);
+        }, timeoutMs);
+      }
+    });
+  }
+
+  return {
+    name: "memory",
+    acquire,
+  };
+}
+
+module.exports = { createMemoryLockAdapter };
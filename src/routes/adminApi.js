@@ -0,0 +1,456 @@
+// src/routes/adminApi.js
+const express = require("express");
+const crypto = require("crypto");
+const router = express.Router();
+
+const config = require("../config");
+const { log, error } = require("../utils/logger");
+const {
+  listOutbox,
+  retryDeadLetter,
+  resolveDeadLetter
+} = require("../services/adjustmentOutbox");
+const {
+  getCustomerCreditSummary,
+  getReferralHistory,
+  listLedgerEntries,
+  grantCredit,
+  revokeCredit
+} = require("../services/creditService");
+const { listAuditLog } = require("../services/auditLog");
+const { sweepCodes } = require("../services/codeLifecycle");
+const { runCreditSchedule } = require("../services/creditScheduler");
+const { listJobs, getJob, retryJob } = require("../services/jobQueue");
+const { getHttpMetrics } = require("../utils/httpClient");
+const { getCircuitStates } = require("../utils/circuitBreaker");
+const {
+  getLedgerEmail,
+  getSubscriberEmails,
+  linkEmail,
+  unlinkEmail,
+  getIdentityLink
+} = require("../services/identityService");
+const {
+  getDiscountCode,
+  listUnredeemedCodes
+} = require("../services/discountCodeRegistry");
+
+/**
+ * Bearer-token authentication for every admin route.
+ * Unlike the webhook checks, there is no "skip in dev" mode: without
+ * ADMIN_API_TOKEN the admin API is simply unavailable.
+ */
+function requireAdminToken(req, res, next) {
+  if (!config.adminApiToken) {
+    log("[Admin] ADMIN_API_TOKEN not configured, rejecting admin request");
+    return res.status(503).json({ error: "Admin API not configured" });
+  }
+
+  const header = req.header("Authorization") || "";
+  const received = header.startsWith("Bearer ") ? header.slice(7) : "";
+
+  const a = Buffer.from(received, "utf8");
+  const b = Buffer.from(config.adminApiToken, "utf8");
+
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    log("[Admin] Rejected request with invalid admin token", {
+      method: req.method,
+      path: req.path
+    });
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  next();
+}
+
+router.use(requireAdminToken);
+
+/**
+ * Operator identity for audited actions (X-Admin-Operator header).
+ * Responds 400 and returns null when it is missing.
+ */
+function requireOperator(req, res) {
+  const operator = (req.header("X-Admin-Operator") || "").trim();
+  if (!operator) {
+    res.status(400).json({ error: "X-Admin-Operator header is required" });
+    return null;
+  }
+  return operator;
+}
+
+function paging(query) {
+  return {
+    limit: Math.min(Math.max(Number(query.limit) || 100, 1), 1000),
+    offset: Math.max(Number(query.offset) || 0, 0)
+  };
+}
+
+// -------------------------
+// Credit and referral history
+// -------------------------
+
+/**
+ * GET /admin/customers/:email/credit
+ * Balance plus per-referral remaining commission, consumptions, and the
+ * discount codes / Seal subscriptions each referral touched.
+ */
+router.get("/customers/:email/credit", (req, res) => {
+  const summary = getCustomerCreditSummary(req.params.email);
+  if (!summary) {
+    return res.status(404).json({
+      error: "No referrals for this customer",
+      customerEmail: req.params.email
+    });
+  }
+  res.json(summary);
+});
+
+/**
+ * GET /admin/referrals/:id
+ */
+router.get("/referrals/:id", (req, res) => {
+  const history = getReferralHistory(req.params.id);
+  if (!history) {
+    return res.status(404).json({ error: "Referral not on ledger" });
+  }
+  res.json(history);
+});
+
+/**
+ * GET /admin/ledger?email=&referralId=&type=&limit=100&offset=0
+ */
+router.get("/ledger", (req, res) => {
+  const { limit, offset } = paging(req.query);
+
+  const result = listLedgerEntries({
+    customerEmail: req.query.email,
+    referralId: req.query.referralId,
+    type: req.query.type,
+    limit,
+    offset
+  });
+  res.json({ ...result, limit, offset });
+});
+
+// -------------------------
+// Manual grants / revocations
+// -------------------------
+
+/**
+ * POST /admin/customers/:email/credit/grants
+ * { amount, reason, upPromoteReferralId?, mirrorToUpPromote? }
+ */
+router.post("/customers/:email/credit/grants", async (req, res) => {
+  const operator = requireOperator(req, res);
+  if (!operator) return;
+
+  const { amount, reason, upPromoteReferralId, mirrorToUpPromote } = req.body || {};
+  try {
+    const result = await grantCredit({
+      customerEmail: req.params.email,
+      amount: Number(amount),
+      reason,
+      operator,
+      upPromoteReferralId: upPromoteReferralId || null,
+      mirrorToUpPromote: mirrorToUpPromote === true
+    });
+    res.status(201).json({ success: true, ...result });
+  } catch (err) {
+    // A spend holding the account's lock for too long is not a bad request
+    res.status(err.code === "ELOCKTIMEOUT" ? 503 : 400).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /admin/customers/:email/credit/revocations
+ * { amount, reason, mirrorToUpPromote? }
+ */
+router.post("/customers/:email/credit/revocations", async (req, res) => {
+  const operator = requireOperator(req, res);
+  if (!operator) return;
+
+  const { amount, reason, mirrorToUpPromote } = req.body || {};
+  try {
+    const result = await revokeCredit({
+      customerEmail: req.params.email,
+      amount: Number(amount),
+      reason,
+      operator,
+      mirrorToUpPromote: mirrorToUpPromote === true
+    });
+    res.status(201).json({ success: true, ...result });
+  } catch (err) {
+    // A spend holding the account's lock for too long is not a bad request
+    res.status(err.code === "ELOCKTIMEOUT" ? 503 : 400).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /admin/audit-log?email=&operator=&action=&limit=100&offset=0
+ */
+router.get("/audit-log", (req, res) => {
+  const { limit, offset } = paging(req.query);
+  const result = listAuditLog({
+    customerEmail: req.query.email,
+    operator: req.query.operator,
+    action: req.query.action,
+    limit,
+    offset
+  });
+  res.json({ ...result, limit, offset });
+});
+
+// -------------------------
+// Identity links (affiliate -> subscriber emails)
+// -------------------------
+
+/**
+ * GET /admin/identity/resolve?email=
+ * Ledger account and Seal lookup emails for an address.
+ */
+router.get("/identity/resolve", (req, res) => {
+  if (!req.query.email) {
+    return res.status(400).json({ error: "email query parameter is required" });
+  }
+  res.json({
+    email: req.query.email,
+    ledgerEmail: getLedgerEmail(req.query.email),
+    subscriberEmails: getSubscriberEmails(req.query.email)
+  });
+});
+
+/**
+ * GET /admin/identity/affiliates/:affiliateId
+ */
+router.get("/identity/affiliates/:affiliateId", (req, res) => {
+  const link = getIdentityLink(req.params.affiliateId);
+  if (!link) {
+    return res.status(404).json({ error: "No linked emails for this affiliate" });
+  }
+  res.json(link);
+});
+
+/**
+ * POST /admin/identity/affiliates/:affiliateId/emails
+ * { email, affiliateEmail?, note? }
+ */
+router.post("/identity/affiliates/:affiliateId/emails", (req, res) => {
+  const operator = requireOperator(req, res);
+  if (!operator) return;
+
+  const { email, affiliateEmail, note } = req.body || {};
+  try {
+    const result = linkEmail({
+      affiliateId: req.params.affiliateId,
+      email,
+      affiliateEmail,
+      operator,
+      note
+    });
+    res.status(201).json({ success: true, ...result });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /admin/identity/affiliates/:affiliateId/emails/:email { reason? }
+ */
+router.delete("/identity/affiliates/:affiliateId/emails/:email", (req, res) => {
+  const operator = requireOperator(req, res);
+  if (!operator) return;
+
+  const result = unlinkEmail({
+    affiliateId: req.params.affiliateId,
+    email: req.params.email,
+    operator,
+    reason: req.body?.reason
+  });
+  if (!result) {
+    return res.status(404).json({ error: "Email is not linked to this affiliate" });
+  }
+  res.json({ success: true, ...result });
+});
+
+// -------------------------
+// Discount codes
+// -------------------------
+
+/**
+ * GET /admin/codes/unredeemed?olderThanDays=45
+ * Codes applied to subscriptions that no Shopify order has redeemed.
+ */
+router.get("/codes/unredeemed", (req, res) => {
+  const olderThanDays =
+    req.query.olderThanDays !== undefined ? Number(req.query.olderThanDays) : undefined;
+  const codes = listUnredeemedCodes(
+    Number.isFinite(olderThanDays) ? { olderThanDays } : undefined
+  );
+  res.json({ count: codes.length, codes });
+});
+
+/**
+ * POST /admin/codes/cleanup – run a cleanup sweep now instead of waiting for
+ * the worker.
+ */
+router.post("/codes/cleanup", async (req, res) => {
+  const outcomes = await sweepCodes();
+  res.json({
+    count: outcomes.length,
+    retired: outcomes.filter((o) => o.retired).length,
+    outcomes
+  });
+});
+
+/**
+ * GET /admin/codes/:code
+ */
+router.get("/codes/:code", (req, res) => {
+  const code = getDiscountCode(req.params.code);
+  if (!code) {
+    return res.status(404).json({ error: "Unknown discount code" });
+  }
+  res.json(code);
+});
+
+// -------------------------
+// Credit scheduler
+// -------------------------
+
+/**
+ * POST /admin/credit/schedule – run a credit scheduler pass now instead of
+ * waiting for the scheduler.
+ */
+router.post("/credit/schedule", async (req, res) => {
+  const outcomes = await runCreditSchedule();
+  res.json({
+    spendMode: config.creditSpendMode,
+    count: outcomes.length,
+    attached: outcomes.filter((o) => o.discountCode).length,
+    outcomes
+  });
+});
+
+// -------------------------
+// Webhook jobs
+// -------------------------
+
+/**
+ * GET /admin/jobs?status=dead&type=uppromote:referral-approved
+ */
+router.get("/jobs", (req, res) => {
+  const jobs = listJobs({
+    status: req.query.status,
+    type: req.query.type
+  });
+  res.json({ count: jobs.length, jobs });
+});
+
+/**
+ * GET /admin/jobs/:id – job with its per-step state
+ */
+router.get("/jobs/:id", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Unknown job" });
+  }
+  res.json(job);
+});
+
+/**
+ * POST /admin/jobs/:id/retry – re-queue a dead-lettered job; completed
+ * steps are not run again. 409 if a new delivery of its event took over.
+ */
+router.post("/jobs/:id/retry", (req, res) => {
+  let job;
+  try {
+    job = retryJob(req.params.id);
+  } catch (err) {
+    if (!err.superseded) throw err;
+    return res.status(409).json({ error: err.message });
+  }
+  if (!job) {
+    return res.status(404).json({ error: "No dead-lettered job with that id" });
+  }
+  res.json({ success: true, job });
+});
+
+// -------------------------
+// Provider APIs
+// -------------------------
+
+/**
+ * GET /admin/http-metrics – request, retry, error and latency counters for
+ * the Seal, Shopify and UpPromote clients since startup.
+ */
+router.get("/http-metrics", (req, res) => {
+  res.json(getHttpMetrics());
+});
+
+/**
+ * GET /admin/circuits – circuit breaker state per provider, plus the jobs
+ * parked until a provider is back.
+ */
+router.get("/circuits", (req, res) => {
+  const parked = listJobs({ status: "parked" });
+  res.json({
+    circuits: getCircuitStates(),
+    parkedJobs: parked.length,
+    parkedOn: parked.reduce((acc, job) => {
+      acc[job.parkedOn] = (acc[job.parkedOn] || 0) + 1;
+      return acc;
+    }, {})
+  });
+});
+
+// -------------------------
+// Adjustment outbox
+// -------------------------
+
+/**
+ * GET /admin/outbox?status=dead&referralId=123
+ */
+router.get("/outbox", (req, res) => {
+  const items = listOutbox({
+    status: req.query.status,
+    referralId: req.query.referralId
+  });
+  res.json({ count: items.length, items });
+});
+
+/**
+ * POST /admin/outbox/:id/retry – re-queue a dead-lettered adjustment.
+ */
+router.post("/outbox/:id/retry", (req, res) => {
+  const item = retryDeadLetter(req.params.id);
+  if (!item) {
+    return res.status(404).json({ error: "No dead-lettered item with that id" });
+  }
+  res.json({ success: true, item });
+});
+
+/**
+ * POST /admin/outbox/:id/resolve { note } – close a dead-lettered adjustment
+ * that was handled by hand.
+ */
+router.post("/outbox/:id/resolve", (req, res) => {
+  const item = resolveDeadLetter(req.params.id, {
+    note: req.body?.note,
+    operator: req.header("X-Admin-Operator") || null
+  });
+  if (!item) {
+    return res.status(404).json({ error: "No dead-lettered item with that id" });
+  }
+  res.json({ success: true, item });
+});
+
+router.use((err, req, res, next) => {
+  error("[Admin] Error handling admin request", {
+    method: req.method,
+    path: req.path,
+    message: err.message
+  });
+  res.status(500).json({ error: err.message });
+});
+
+module.exports = router;
@@ -3,41 +3,140 @@ const router = express.Router();
 const config = require("../config");
 const { log, error } = require("../utils/logger");
 const {
-  getTotalCreditForCustomer,
-  consumeCreditForCustomer
-} = require("../services/creditService");
-const { applyDiscountCode } = require("../services/sealClient");
-
-function verifyQueryToken(req, res) {
-  if (!config.webhookSharedSecret) {
-    log("[Seal webhook] No webhook secret configured, skipping token verification");
-    return true;
-  }
-  if (req.query.token !== config.webhookSharedSecret) {
+  safeEqual,
+  verifyHmacSignature
+} = require("../utils/webhookSignature");
+const { addJob, enqueueJob, kickJobs } = require("../services/jobQueue");
+const { JOB_TYPES } = require("../services/webhookJobs");
+const { hashPayload, claimEvent } = require("../services/eventRegistry");
+
+const SUBSCRIPTION_BILLED_TOPIC = "seal:subscription-billed";
+
+/**
+ * Legacy auth: shared secret in the ?token= query string.
+ * Only used when SEAL_WEBHOOK_ALLOW_QUERY_TOKEN=true, because the token ends
+ * up in access logs and proxies.
+ */
+function verifyQueryToken(req) {
+  if (!config.webhookSharedSecret || !req.query.token) {
     error("[Seal webhook] Token verification failed", {
       received: req.query.token ? "present" : "missing",
       expected: config.webhookSharedSecret ? "configured" : "not configured"
     });
-    res.status(401).send("Unauthorized");
     return false;
   }
-  log("[Seal webhook] Token verification successful");
+  if (!safeEqual(req.query.token, config.webhookSharedSecret)) {
+    error("[Seal webhook] Token verification failed", {
+      received: "present",
+      expected: "configured"
+    });
+    return false;
+  }
+  log("[Seal webhook] Legacy query token verification successful");
   return true;
 }
 
+/**
+ * Verify Seal's HMAC-SHA256 signature header over the raw request body,
+ * the same way verifySignature does for UpPromote. Falls back to the
+ * legacy query token only when that mode is explicitly enabled.
+ */
+function verifySealWebhook(req, res) {
+  const secret = config.sealWebhookSecret;
+  const headerName = config.sealWebhookSignatureHeader;
+  const received = req.header(headerName);
+
+  if (secret && received) {
+    const valid = verifyHmacSignature({
+      secret,
+      rawBody: req.body, // Buffer, because express.raw is used in index.js
+      received,
+      encodings: ["base64", "hex"]
+    });
+    if (valid) {
+      log("[Seal webhook] Signature verification successful");
+      return true;
+    }
+    error("[Seal webhook] Signature mismatch", { header: headerName });
+    res.status(401).send("Unauthorized");
+    return false;
+  }
+
+  if (config.sealAllowQueryToken) {
+    if (verifyQueryToken(req)) return true;
+    res.status(401).send("Unauthorized");
+    return false;
+  }
+
+  if (!secret && !config.webhookSharedSecret) {
+    log("[Seal webhook] No webhook secret configured, skipping signature verification");
+    return true;
+  }
+
+  error("[Seal webhook] Signature verification failed", {
+    header: headerName,
+    received: received ? "present" : "missing",
+    secret: secret ? "configured" : "not configured",
+    legacyQueryToken: "disabled"
+  });
+  res.status(401).send("Unauthorized");
+  return false;
+}
+
+/**
+ * Parse the raw (Buffer) body kept for signature verification.
+ * Returns null for an empty or malformed body.
+ */
+function parseBody(req) {
+  if (!Buffer.isBuffer(req.body)) {
+    return req.body || null;
+  }
+  if (req.body.length === 0) {
+    return null;
+  }
+  try {
+    return JSON.parse(req.body.toString("utf8"));
+  } catch (parseErr) {
+    error("[Seal webhook] Failed to parse JSON body:", parseErr);
+    return null;
+  }
+}
+
+/**
+ * Seal might send either the subscription object directly or wrapped in payload.
+ */
+function extractSubscription(body) {
+  return body.payload?.payload || body.payload || body;
+}
+
+/**
+ * ID of the order Seal just billed, or null when the delivery doesn't
+ * report one (e.g. a plain subscription update).
+ */
+function billedOrderId(body, subscription) {
+  const id =
+    subscription.order_id ??
+    subscription.last_order_id ??
+    subscription.billing_attempt_id ??
+    body.order_id ??
+    null;
+  return id === null || id === "" ? null : id;
+}
+
 // Seal "subscription" webhook endpoint
 router.post("/subscription", async (req, res) => {
   const startTime = Date.now();
   try {
     log("[Seal webhook] Subscription webhook received");
-    if (!verifyQueryToken(req, res)) {
-      log("[Seal webhook] Request rejected due to token verification failure");
+    if (!verifySealWebhook(req, res)) {
+      log("[Seal webhook] Request rejected due to signature verification failure");
       return;
     }
 
-    // Seal might send either the subscription object directly or wrapped in payload
-    const body = req.body;
-    const subscription = body.payload?.payload || body.payload || body;
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : JSON.stringify(req.body || {});
+    const body = parseBody(req) || {};
+    req.body = body;
+    const subscription = extractSubscription(body);
 
     log("[Seal webhook] Received subscription event:", {
       rawBody: body,
@@ -47,6 +146,8 @@ router.post("/subscription", async (req, res) => {
     const subscriptionId = subscription.id;
     const customerEmail = subscription.email;
     const totalValue = Number(subscription.total_value || 0);
+    const status = subscription.status || null;
+    const orderId = billedOrderId(body, subscription);
 
     if (!subscriptionId || !customerEmail || isNaN(totalValue)) {
       log("[Seal webhook] Missing required fields; returning 200", {
@@ -60,57 +161,57 @@ router.post("/subscription", async (req, res) => {
     log("[Seal webhook] Processing subscription", {
       subscriptionId,
       customerEmail,
-      totalValue
-    });
-
-    // How much credit is available for this customer (from UpPromote referrals)?
-    const availableCredit = getTotalCreditForCustomer(customerEmail);
-    log(
-      `[Seal webhook] Customer ${customerEmail} has available credit ${availableCredit}`
-    );
-
-    if (availableCredit <= 0) {
-      // Nothing to do, just acknowledge
-      return res.status(200).json({ success: true, message: "no-credit" });
-    }
-
-    // Decide how much to use now.
-    // Simple rule: use up to this subscription's total value.
-    const amountToUse = Math.min(availableCredit, totalValue);
-    log("[Seal webhook] Credit calculation", {
-      availableCredit,
       totalValue,
-      amountToUse
+      status,
+      orderId
     });
 
-    // 1) Apply discount code to subscription (STATIC CODE)
-    // ⚠ This does NOT automatically match the "amountToUse" unless your code is configured in Shopify
-    //     to give exactly the discount you want (e.g. same % as commission).
-    // For a fully dynamic wallet, you would need to integrate Shopify Admin API and generate one-off codes.
-    log("[Seal webhook] Applying discount code to subscription");
-    await applyDiscountCode(subscriptionId, config.subscriptionDiscountCode, customerEmail);
-
-    // 2) Reduce affiliate commission balance in UpPromote by amountToUse
-    log("[Seal webhook] Consuming credit for customer");
-    const result = await consumeCreditForCustomer(customerEmail, amountToUse);
+    // Spending (or not, depending on CREDIT_SPEND_MODE) is decided by the
+    // wallet engine, which also queues the UpPromote adjustment. It runs in
+    // the background so Seal gets its answer right away.
+    const jobSpec = {
+      type: JOB_TYPES.subscriptionBilling,
+      payload: { subscriptionId, customerEmail, totalValue, status, orderId }
+    };
 
-    const duration = Date.now() - startTime;
-    log(
-      `[Seal webhook] Successfully processed subscription webhook (${duration}ms)`,
-      {
-        subscriptionId,
-        customerEmail,
-        usedCredit: result.used,
-        availableBefore: availableCredit,
-        breakdown: result.breakdown
+    let job;
+    if (orderId) {
+      // A billed order is handled once, however often Seal delivers it; the
+      // job is queued in the same transaction as the claim
+      const eventId = `${subscriptionId}:${orderId}`;
+      const claim = claimEvent({
+        topic: SUBSCRIPTION_BILLED_TOPIC,
+        eventId,
+        payloadHash: hashPayload(rawBody),
+        onClaim: (state) =>
+          addJob(state, { ...jobSpec, event: { topic: SUBSCRIPTION_BILLED_TOPIC, eventId } })
+      });
+      if (!claim.claimed) {
+        log("[Seal webhook] Duplicate billing delivery, short-circuiting", {
+          subscriptionId,
+          orderId,
+          status: claim.record.status,
+          deliveries: claim.record.deliveries
+        });
+        return res.status(200).json({
+          ...(claim.record.outcome || { success: true, status: claim.record.status }),
+          duplicate: true
+        });
       }
-    );
+      job = claim.created;
+      kickJobs();
+    } else {
+      job = enqueueJob(jobSpec);
+    }
 
-    res.status(200).json({
-      success: true,
-      usedCredit: result.used,
-      availableBefore: availableCredit
+    const duration = Date.now() - startTime;
+    log(`[Seal webhook] Queued subscription webhook (${duration}ms)`, {
+      subscriptionId,
+      customerEmail,
+      jobId: job.id
     });
+
+    res.status(200).json({ success: true, queued: true, jobId: job.id, subscriptionId });
   } catch (err) {
     const duration = Date.now() - startTime;
     error("[Seal webhook] Error handling subscription webhook", {
@@ -124,4 +225,69 @@ router.post("/subscription", async (req, res) => {
   }
 });
 
+/**
+ * POST handler factory for Seal subscription lifecycle webhooks
+ * (created / updated / cancelled / paused).
+ */
+function lifecycleWebhook(event) {
+  return async (req, res) => {
+    const startTime = Date.now();
+    try {
+      log(`[Seal webhook] Subscription ${event} webhook received`);
+      if (!verifySealWebhook(req, res)) {
+        log("[Seal webhook] Request rejected due to signature verification failure");
+        return;
+      }
+
+      const body = parseBody(req) || {};
+      req.body = body;
+      const subscription = extractSubscription(body);
+
+      const subscriptionId = subscription.id;
+      const customerEmail = subscription.email;
+      const totalValue = Number(subscription.total_value || 0);
+      const status = subscription.status || null;
+
+      if (!subscriptionId || !customerEmail || isNaN(totalValue)) {
+        log("[Seal webhook] Missing required fields; returning 200", {
+          event,
+          subscriptionId: subscriptionId || "missing",
+          customerEmail: customerEmail || "missing",
+          totalValue: isNaN(totalValue) ? "invalid" : totalValue
+        });
+        return res.status(200).json({ success: true });
+      }
+
+      const job = enqueueJob({
+        type: JOB_TYPES.subscriptionLifecycle,
+        payload: { event, subscriptionId, customerEmail, totalValue, status }
+      });
+
+      const duration = Date.now() - startTime;
+      log(`[Seal webhook] Queued subscription ${event} webhook (${duration}ms)`, {
+        subscriptionId,
+        customerEmail,
+        status,
+        jobId: job.id
+      });
+
+      res.status(200).json({ success: true, queued: true, jobId: job.id, event, subscriptionId });
+    } catch (err) {
+      const duration = Date.now() - startTime;
+      error(`[Seal webhook] Error handling subscription ${event} webhook`, {
+        error: err.message,
+        stack: err.stack,
+        duration: `${duration}ms`,
+        subscriptionId: extractSubscription(req.body || {}).id
+      });
+      res.status(500).json({ success: false, error: err.message });
+    }
+  };
+}
+
+router.post("/subscription-created", lifecycleWebhook("created"));
+router.post("/subscription-updated", lifecycleWebhook("updated"));
+router.post("/subscription-cancelled", lifecycleWebhook("cancelled"));
+router.post("/subscription-paused", lifecycleWebhook("paused"));
+
 module.exports = router;
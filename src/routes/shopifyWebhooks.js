@@ -0,0 +1,292 @@
+// src/routes/shopifyWebhooks.js
+const express = require("express");
+const router = express.Router();
+
+const config = require("../config");
+const { log, error } = require("../utils/logger");
+const { verifyHmacSignature } = require("../utils/webhookSignature");
+const {
+  hashPayload,
+  claimEvent,
+  completeEvent,
+  releaseEvent
+} = require("../services/eventRegistry");
+const {
+  getDiscountCode,
+  markCodeRedeemed,
+  findRedemptionsByOrder,
+  restoreRefundedCredit
+} = require("../services/discountCodeRegistry");
+
+// Fixed prefixes of the code templates (text before the first placeholder);
+// used to warn about codes that look like ours but are missing from the registry
+const AFFILIATE_CODE_PREFIXES = [config.affiliateCodeTemplate, config.billingCodeTemplate]
+  .map((template) => template.split("{")[0].toUpperCase())
+  .filter(Boolean);
+
+/**
+ * Verify X-Shopify-Hmac-Sha256 (base64 HMAC-SHA256 of the raw body, keyed
+ * with the app's webhook secret).
+ */
+function verifyShopifySignature(req) {
+  const secret = config.shopifyWebhookSecret;
+
+  if (!secret) {
+    // In dev, if you haven't set the secret yet, skip verification
+    log("[Shopify webhook] No webhook secret configured, skipping signature check");
+    return true;
+  }
+
+  const received = req.header("X-Shopify-Hmac-Sha256");
+  if (!received) {
+    log("[Shopify webhook] Missing X-Shopify-Hmac-Sha256 header");
+    return false;
+  }
+
+  const valid = verifyHmacSignature({
+    secret,
+    rawBody: req.body, // Buffer, because express.raw is used in index.js
+    received,
+    encodings: ["base64"]
+  });
+  if (!valid) {
+    log("[Shopify webhook] Signature mismatch");
+  }
+  return valid;
+}
+
+/**
+ * Discount codes used on an order with the amount each one took off.
+ * `discount_codes` carries the actual discounted amount; codes only present
+ * in `discount_applications` fall back to the application's value.
+ *
+ * The index into `discount_applications` is kept so a later refund can find
+ * the discount allocated to the refunded line items.
+ *
+ * @returns {Array<{code:string, amount:number, applicationIndex:number|null}>}
+ */
+function extractOrderDiscountCodes(order) {
+  const byCode = new Map();
+
+  for (const dc of order.discount_codes || []) {
+    if (!dc.code) continue;
+    byCode.set(dc.code, { code: dc.code, amount: Number(dc.amount) || 0, applicationIndex: null });
+  }
+
+  (order.discount_applications || []).forEach((app, index) => {
+    if (app.type !== "discount_code" || !app.code) return;
+    const existing = byCode.get(app.code);
+    if (existing) {
+      existing.applicationIndex = index;
+    } else {
+      byCode.set(app.code, { code: app.code, amount: Number(app.value) || 0, applicationIndex: index });
+    }
+  });
+
+  return [...byCode.values()];
+}
+
+function findRegisteredCode(code) {
+  return getDiscountCode(code) || getDiscountCode(code.toUpperCase());
+}
+
+/**
+ * Mark every affiliate credit code used on the order as redeemed.
+ */
+function processOrder(order, topic) {
+  const codes = extractOrderDiscountCodes(order);
+  const redeemed = [];
+  const unknown = [];
+
+  for (const { code, amount, applicationIndex } of codes) {
+    const registered = findRegisteredCode(code);
+
+    if (!registered) {
+      const upper = code.toUpperCase();
+      if (AFFILIATE_CODE_PREFIXES.some((prefix) => upper.startsWith(prefix))) {
+        unknown.push(code);
+      }
+      continue;
+    }
+
+    const result = markCodeRedeemed(registered.code, {
+      orderId: order.id,
+      orderName: order.name,
+      amount,
+      applicationIndex,
+      orderTotal: Number(order.total_price) || null
+    });
+    redeemed.push({
+      code: registered.code,
+      amount,
+      codeAmount: registered.amount,
+      duplicate: !!result.duplicate
+    });
+  }
+
+  if (unknown.length > 0) {
+    error("[Shopify webhook] Affiliate-looking codes not in registry", {
+      topic,
+      orderId: order.id,
+      codes: unknown
+    });
+  }
+
+  const outcome = {
+    success: true,
+    orderId: order.id,
+    discountCodes: codes.map((c) => c.code),
+    redeemed
+  };
+  if (redeemed.length > 0) {
+    log("[Shopify webhook] Recorded affiliate code redemptions", outcome);
+  }
+  return outcome;
+}
+
+/**
+ * How much of one redeemed code a refund gives back.
+ *
+ * Shopify allocates an order-level discount over the line items, so the
+ * refunded share is the allocation of our code on each refunded line, scaled
+ * by the refunded quantity. Without allocations (e.g. a refund of shipping or
+ * a custom amount) fall back to the refunded fraction of what was paid.
+ */
+function refundedDiscountAmount(refund, redemption) {
+  const lines = refund.refund_line_items || [];
+
+  if (redemption.applicationIndex !== null && redemption.applicationIndex !== undefined) {
+    let total = 0;
+    let matched = false;
+    for (const rli of lines) {
+      const lineItem = rli.line_item || {};
+      const lineQuantity = Number(lineItem.quantity) || 0;
+      if (lineQuantity <= 0) continue;
+
+      for (const alloc of lineItem.discount_allocations || []) {
+        if (alloc.discount_application_index !== redemption.applicationIndex) continue;
+        matched = true;
+        total += ((Number(alloc.amount) || 0) * (Number(rli.quantity) || 0)) / lineQuantity;
+      }
+    }
+    if (matched) return Math.round(total * 100) / 100;
+  }
+
+  const refunded = (refund.transactions || [])
+    .filter((t) => t.kind === "refund" && t.status !== "failure" && t.status !== "error")
+    .reduce((sum, t) => sum + (Number(t.amount) || 0), 0);
+  if (refunded <= 0 || !redemption.orderTotal) return 0;
+
+  const ratio = Math.min(1, refunded / redemption.orderTotal);
+  return Math.round(redemption.amount * ratio * 100) / 100;
+}
+
+/**
+ * Re-credit the affiliate credit behind every code redeemed on the refunded
+ * order.
+ */
+async function processRefund(refund) {
+  const redemptions = findRedemptionsByOrder(refund.order_id);
+  const restored = [];
+
+  for (const { code, redemption } of redemptions) {
+    const amount = refundedDiscountAmount(refund, redemption);
+    if (amount <= 0) continue;
+
+    const result = await restoreRefundedCredit({
+      code,
+      orderId: refund.order_id,
+      refundId: refund.id,
+      amount
+    });
+    restored.push({
+      code,
+      refundedDiscount: amount,
+      restored: result.restored,
+      duplicate: !!result.duplicate,
+      breakdown: result.breakdown
+    });
+  }
+
+  const outcome = {
+    success: true,
+    orderId: refund.order_id,
+    refundId: refund.id,
+    restored
+  };
+  if (restored.length > 0) {
+    log("[Shopify webhook] Restored affiliate credit for refund", outcome);
+  }
+  return outcome;
+}
+
+/**
+ * POST handler factory for Shopify webhooks: signature check, JSON parsing
+ * and idempotency on X-Shopify-Webhook-Id around `handle(payload, topic)`.
+ */
+function shopifyWebhook(topic, handle) {
+  const registryTopic = `shopify:${topic}`;
+
+  return async (req, res) => {
+    const webhookId = req.header("X-Shopify-Webhook-Id");
+    let claimed = false;
+
+    try {
+      if (!verifyShopifySignature(req)) {
+        return res.status(401).send("Invalid signature");
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(req.body.toString("utf8"));
+      } catch (parseErr) {
+        error("[Shopify webhook] Failed to parse JSON body:", parseErr);
+        // Still return 200 so Shopify doesn't keep retrying a bad payload
+        return res.status(200).send("OK");
+      }
+
+      log(`[Shopify webhook] ${topic} received`, {
+        id: payload.id,
+        orderId: payload.order_id || payload.id,
+        webhookId
+      });
+
+      if (webhookId) {
+        const claim = claimEvent({
+          topic: registryTopic,
+          eventId: webhookId,
+          payloadHash: hashPayload(req.body)
+        });
+        if (!claim.claimed) {
+          return res.status(200).json({
+            ...(claim.record.outcome || { success: true }),
+            duplicate: true
+          });
+        }
+        claimed = true;
+      }
+
+      const outcome = await handle(payload, topic);
+      if (claimed) {
+        completeEvent(registryTopic, webhookId, outcome);
+      }
+      return res.status(200).json(outcome);
+    } catch (err) {
+      error(`[Shopify webhook] Unexpected error in ${topic} handler:`, err);
+      if (claimed) {
+        try {
+          releaseEvent(registryTopic, webhookId);
+        } catch (releaseErr) {
+          error("[Shopify webhook] Failed to release event claim:", releaseErr);
+        }
+      }
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  };
+}
+
+router.post("/orders-create", shopifyWebhook("orders/create", processOrder));
+router.post("/orders-paid", shopifyWebhook("orders/paid", processOrder));
+router.post("/refunds-create", shopifyWebhook("refunds/create", processRefund));
+
+module.exports = router;
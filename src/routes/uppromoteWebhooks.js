@@ -1,13 +1,15 @@
 // src/routes/uppromoteWebhooks.js
 const express = require("express");
-const crypto = require("crypto");
 const router = express.Router();
 
 const config = require("../config");
 const { log, error } = require("../utils/logger");
-const { storeReferralCredit } = require("../services/creditService");
-const { getSubscriptionsAndApplyDiscount } = require("../services/sealClient");
-const { addReferralAdjustment } = require("../services/upPromoteClient");
+const { verifyHmacSignature } = require("../utils/webhookSignature");
+const { addJob, enqueueJob, kickJobs } = require("../services/jobQueue");
+const { JOB_TYPES } = require("../services/webhookJobs");
+const { hashPayload, claimEvent } = require("../services/eventRegistry");
+
+const REFERRAL_APPROVED_TOPIC = "uppromote:referral-approved";
 
 /**
  * Verify X-UpPromote-Signature header using HMAC-SHA256
@@ -28,25 +30,91 @@ function verifySignature(req) {
     return false;
   }
 
-  const rawBody = req.body; // Buffer, because express.raw is used in index.js
+  const valid = verifyHmacSignature({
+    secret,
+    rawBody: req.body, // Buffer, because express.raw is used in index.js
+    received
+  });
+  if (!valid) {
+    log("[UpPromote] Signature mismatch");
+  }
+  return valid;
+}
 
-  const calculated = crypto
-    .createHmac("sha256", secret)
-    .update(rawBody)
-    .digest("hex");
+/**
+ * Shared preamble for UpPromote POST webhooks. Responds itself and returns
+ * null when there is nothing more to do:
+ * - Empty POST (no body, no signature) → validation → 200 OK
+ * - Bad signature → 401
+ * - Unparseable JSON → 200 OK (so we don't get stuck on a bad payload)
+ *
+ * @returns {Object|null} parsed payload
+ */
+function readVerifiedPayload(req, res, eventName) {
+  const sig = req.header("X-UpPromote-Signature");
+  const hasBody = req.body && req.body.length > 0;
+
+  // 1) Validation POST from UpPromote (no body, no signature)
+  if (!sig && !hasBody) {
+    log(`[UpPromote] Validation POST received on ${eventName} (no body, no signature)`);
+    res.status(200).send("OK");
+    return null;
+  }
 
-  const a = Buffer.from(received, "utf8");
-  const b = Buffer.from(calculated, "utf8");
+  // 2) Real webhook → verify signature
+  if (!verifySignature(req)) {
+    // For real webhooks, you can return 401
+    // UpPromote will consider this a failed delivery
+    res.status(401).send("Invalid signature");
+    return null;
+  }
 
-  if (a.length !== b.length) {
-    return false;
+  // 3) Parse JSON payload
+  try {
+    return JSON.parse(req.body.toString("utf8"));
+  } catch (parseErr) {
+    error("[UpPromote] Failed to parse JSON body:", parseErr);
+    // Still return 200 so we don't get stuck on a bad payload
+    res.status(200).send("OK");
+    return null;
   }
+}
 
-  const valid = crypto.timingSafeEqual(a, b);
-  if (!valid) {
-    log("[UpPromote] Signature mismatch");
+/**
+ * Claim a referral event in the registry and queue the job that completes
+ * it, in one transaction: a crash can never leave a claim without the work
+ * that finishes it. For a duplicate delivery this answers with the stored
+ * outcome and returns null.
+ *
+ * @returns {Object|null} the queued job
+ */
+function claimOrReplay(req, res, topic, referralId, { type, payload }) {
+  const claim = claimEvent({
+    topic,
+    eventId: referralId,
+    payloadHash: hashPayload(req.body),
+    onClaim: (state) =>
+      addJob(state, { type, payload, event: { topic, eventId: referralId } })
+  });
+
+  if (claim.claimed) {
+    kickJobs();
+    return claim.created;
   }
-  return valid;
+
+  const { record } = claim;
+  log("[UpPromote] Duplicate delivery, short-circuiting", {
+    topic,
+    referralId,
+    status: record.status,
+    deliveries: record.deliveries,
+    payloadChanged: !!record.payloadChanged
+  });
+  res.status(200).json({
+    ...(record.outcome || { success: true, status: record.status }),
+    duplicate: true
+  });
+  return null;
 }
 
 /**
@@ -63,180 +131,103 @@ router.get("/referral-approved", (req, res) => {
 /**
  * POST handler for UpPromote "referral.approved" webhooks.
  * - Empty POST (no body, no signature) → treat as validation → 200 OK
- * - Real webhook (body + signature) → verify, parse JSON, store credit,
- *   apply Seal discounts, then sync usage back to UpPromote via adjustment.
+ * - Real webhook (body + signature) → verify, parse JSON, persist a job for
+ *   the wallet engine (store credit, and spend it if CREDIT_SPEND_MODE=approval)
+ *   and answer right away; the job queue runs the Seal/Shopify steps.
+ * - Duplicate delivery of an already-seen referral → answered with the
+ *   stored outcome (or that it is still processing), nothing is re-run.
+ * - The claim or job could not be stored → 500, so UpPromote retries.
  */
 router.post("/referral-approved", async (req, res) => {
   try {
-    const sig = req.header("X-UpPromote-Signature");
-    const hasBody = req.body && req.body.length > 0;
-
-    // 1) Validation POST from UpPromote (no body, no signature)
-    if (!sig && !hasBody) {
-      log("[UpPromote] Validation POST received (no body, no signature)");
-      return res.status(200).send("OK");
-    }
-
-    // 2) Real webhook → verify signature
-    if (!verifySignature(req)) {
-      // For real webhooks, you can return 401
-      // UpPromote will consider this a failed delivery
-      return res.status(401).send("Invalid signature");
-    }
-
-    // 3) Parse JSON payload
-    let payload;
-    try {
-      payload = JSON.parse(req.body.toString("utf8"));
-    } catch (parseErr) {
-      error("[UpPromote] Failed to parse JSON body:", parseErr);
-      // Still return 200 so we don't get stuck on a bad payload
-      return res.status(200).send("OK");
-    }
+    const payload = readVerifiedPayload(req, res, "referral-approved");
+    if (!payload) return;
 
     log("[UpPromote] referral-approved webhook payload:", payload);
 
-    // 4) Store credit for this referral (local ledger)
+    // 3b) Idempotency: UpPromote retries deliveries, so only the first one
+    //     for a referral may store credit and touch Shopify/Seal/UpPromote.
+    // 4)  Store credit and (depending on CREDIT_SPEND_MODE) spend it on the
+    //     subscriber's Seal subscriptions – all decided by the wallet engine,
+    //     in the background. The job completes the event with its outcome.
+    const jobSpec = { type: JOB_TYPES.referralApproved, payload };
+    const job = payload.id
+      ? claimOrReplay(req, res, REFERRAL_APPROVED_TOPIC, payload.id, jobSpec)
+      : enqueueJob(jobSpec);
+    if (!job) return;
+
+    return res.status(200).json({
+      success: true,
+      queued: true,
+      jobId: job.id,
+      referralId: payload.id || null
+    });
+  } catch (err) {
+    // Claim and job are written together, so nothing is left to release
+    error("[UpPromote] Unexpected error in referral-approved handler:", err);
+    // Nothing was stored: fail the delivery so UpPromote retries the
+    // approval (validation pings were answered before this point)
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Reversal events: referral denied / refunded / reversed
+// -----------------------------------------------------------------------------
+
+const REVERSAL_EVENTS = {
+  "referral-denied": "denied",
+  "referral-refunded": "refunded",
+  "referral-reversed": "reversed"
+};
+
+for (const [eventName, reason] of Object.entries(REVERSAL_EVENTS)) {
+  const topic = `uppromote:${eventName}`;
+
+  router.get(`/${eventName}`, (req, res) => {
+    log(`[UpPromote] GET /${eventName} health check`);
+    res.status(200).send("OK");
+  });
+
+  /**
+   * POST handler for UpPromote reversal webhooks. Same validation,
+   * signature and idempotency handling as referral-approved.
+   */
+  router.post(`/${eventName}`, async (req, res) => {
     try {
-      storeReferralCredit(payload);
-    } catch (logicErr) {
-      error("[UpPromote] Error in storeReferralCredit:", logicErr);
-      // Do not fail the webhook for internal logic errors
-    }
+      const payload = readVerifiedPayload(req, res, eventName);
+      if (!payload) return;
 
-    // 5) Extract email we will use to match Seal subscriptions.
-    // Priority: affiliate?.email > customer_email > customer?.email > email
-    const customerEmail =
-      payload.affiliate?.email ||
-      payload.customer_email ||
-      payload.customer?.email ||
-      payload.email;
-
-    // Log all available email fields for debugging
-    log("[UpPromote] Available email fields in webhook", {
-      affiliate_email: payload.affiliate?.email,
-      customer_email: payload.customer_email,
-      customer_object_email: payload.customer?.email,
-      email: payload.email,
-      referralId: payload.id
-    });
+      log(`[UpPromote] ${eventName} webhook payload:`, payload);
 
-    if (customerEmail) {
-      try {
-        log("[UpPromote] Extracted email from webhook", {
-          email: customerEmail,
-          referralId: payload.id,
-          source: payload.affiliate?.email
-            ? "affiliate.email"
-            : payload.customer_email
-            ? "customer_email"
-            : payload.customer?.email
-            ? "customer.email"
-            : "email",
-          commissionAmount: payload.commission
+      if (!payload.id) {
+        log(`[UpPromote] ${eventName} webhook without referral id, ignoring`, {
+          payloadKeys: Object.keys(payload)
         });
+        return res.status(200).json({ success: true, message: "no-referral-id" });
+      }
 
-        // Commission amount for dynamic discount creation
-        const commissionAmount = parseFloat(payload.commission || 0);
-
-        // 6) Find Seal subscriptions and apply discount code(s)
-        const result = await getSubscriptionsAndApplyDiscount(
-          customerEmail,
-          null, // Let the Seal service handle discount code creation
-          commissionAmount,
-          payload.id
-        );
-
-        const appliedCount =
-          typeof result.appliedCount === "number"
-            ? result.appliedCount
-            : result.appliedDiscounts?.length || 0;
-
-        log("[UpPromote] Processed Seal subscriptions and applied discounts", {
-          affiliateEmail: customerEmail,
-          referralId: payload.id,
-          commissionAmount,
-          subscriptionIds: result.subscriptionIds,
-          appliedCount,
-          success: result.success
-        });
+      // Ledger, Shopify and Seal steps run in the background (webhookJobs.js)
+      const job = claimOrReplay(req, res, topic, payload.id, {
+        type: JOB_TYPES.referralReversal,
+        payload: { referralId: payload.id, reason }
+      });
+      if (!job) return;
 
-        if (result.errors && result.errors.length > 0) {
-          error("[UpPromote] Some subscriptions failed to get discount applied", {
-            affiliateEmail: customerEmail,
-            errors: result.errors
-          });
-        }
-
-        // 7) If at least one subscription got a discount, tell UpPromote
-        //    that we "used" this commission, by adding a negative adjustment.
-        if (result.success && appliedCount > 0 && commissionAmount > 0) {
-          const referralId = payload.id;
-          // For now we assume we used the full commission once.
-          // If you later support partial usage, adjust this logic.
-          const usedAmount = commissionAmount;
-          const adjustmentAmount = -usedAmount;
-
-          try {
-            await addReferralAdjustment(referralId, adjustmentAmount);
-
-            log(
-              "[UpPromote] Recorded commission usage via referral adjustment",
-              {
-                referralId,
-                originalCommission: commissionAmount,
-                usedAmount,
-                adjustmentAmount
-              }
-            );
-          } catch (adjErr) {
-            error(
-              "[UpPromote] Could not sync commission deduction back to UpPromote",
-              {
-                referralId,
-                adjustmentAmount,
-                error: adjErr.message
-              }
-            );
-          }
-        }
-      } catch (sealErr) {
-        // Don't fail the webhook if Seal lookup or discount application fails
-        error("[UpPromote] Error processing Seal subscriptions:", sealErr);
-      }
-    } else {
-      // If no email is available, we cannot apply discounts to subscriptions
-      // This might happen for incomplete webhook data
-      log("[UpPromote] No email found in webhook payload", {
+      log(`[UpPromote] Queued ${eventName} webhook`, { referralId: payload.id, jobId: job.id });
+      return res.status(200).json({
+        success: true,
+        queued: true,
+        jobId: job.id,
         referralId: payload.id,
-        trackingType: payload.tracking_type,
-        hasAffiliateEmail: !!payload.affiliate?.email,
-        hasCustomerEmail: !!payload.customer_email,
-        hasCustomerObject: !!payload.customer,
-        hasEmailField: !!payload.email,
-        payloadKeys: Object.keys(payload)
+        reason
       });
-
-      // For manually added referrals, the affiliate email should still be available
-      if (payload.tracking_type === "Manually added") {
-        log(
-          "[UpPromote] Manually added referral detected - will apply discount to affiliate's subscriptions if email available",
-          {
-            referralId: payload.id,
-            orderId: payload.order_id,
-            orderNumber: payload.order_number,
-            hasAffiliateEmail: !!payload.affiliate?.email
-          }
-        );
-      }
+    } catch (err) {
+      error(`[UpPromote] Unexpected error in ${eventName} handler:`, err);
+      // Fail the delivery so UpPromote retries the reversal
+      return res.status(500).json({ success: false, error: err.message });
     }
-
-    return res.status(200).json({ success: true });
-  } catch (err) {
-    error("[UpPromote] Unexpected error in referral-approved handler:", err);
-    // Always 200 for unexpected errors so we don't break validation
-    return res.status(200).send("OK");
-  }
-});
+  });
+}
 
 module.exports = router;
@@ -0,0 +1,332 @@
+// src/services/adjustmentOutbox.js
+const crypto = require("crypto");
+const config = require("../config");
+const { log, error } = require("../utils/logger");
+const { isProviderAvailable, onCircuitClose } = require("../utils/circuitBreaker");
+const { addReferralAdjustment } = require("./upPromoteClient");
+const store = require("../storage");
+
+/**
+ * Outbox for UpPromote referral adjustments.
+ *
+ * Instead of calling addReferralAdjustment inline (and losing the call when
+ * UpPromote is down), callers record the adjustment here – ideally in the
+ * same storage transaction that changes the ledger. A background worker
+ * delivers pending items with exponential backoff; items that keep failing
+ * are dead-lettered and wait for an operator to retry or resolve them.
+ * While UpPromote's circuit is open nothing is sent and no attempts are
+ * counted; delivery resumes when it closes.
+ *
+ * Item status: pending -> delivered | dead -> (pending | resolved)
+ */
+
+let workerTimer = null;
+let draining = null;
+let rerunRequested = false;
+
+/**
+ * Why an adjustment can't be sent to UpPromote, or null if it can.
+ * addReferralAdjustment() silently skips these instead of failing.
+ */
+function invalidAdjustment({ referralId, amount }) {
+  if (!referralId) return "missing referralId";
+  if (typeof amount !== "number" || !Number.isFinite(amount) || amount === 0) {
+    return `invalid amount ${amount}`;
+  }
+  return null;
+}
+
+/**
+ * Add an adjustment to the outbox inside an existing storage transaction.
+ * Throws for an adjustment UpPromote can't take, which aborts the
+ * transaction.
+ *
+ * @param {Object} state - transaction draft (see storage.transaction)
+ * @param {Object} params
+ * @param {string|number} params.referralId - UpPromote referral ID
+ * @param {number} params.amount - signed adjustment, e.g. -30
+ * @param {string} params.reason - why we adjust (for operators)
+ * @returns {Object} the outbox item
+ */
+function addToOutbox(state, { referralId, amount, reason }) {
+  const invalid = invalidAdjustment({ referralId, amount });
+  if (invalid) {
+    throw new Error(`Invalid UpPromote adjustment: ${invalid}`);
+  }
+
+  const now = new Date().toISOString();
+  const item = {
+    id: crypto.randomUUID(),
+    referralId,
+    amount,
+    reason: reason || null,
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    createdAt: now,
+    updatedAt: now,
+    deliveredAt: null,
+  };
+  state.outbox.push(item);
+  return item;
+}
+
+/**
+ * Record an adjustment in its own transaction and schedule delivery.
+ * Use addToOutbox() instead when the ledger changes in the same step.
+ */
+function enqueueAdjustment(params) {
+  const item = store.transaction((state) => addToOutbox(state, params));
+  log("[Outbox] Adjustment enqueued", {
+    id: item.id,
+    referralId: item.referralId,
+    amount: item.amount,
+    reason: item.reason,
+  });
+  kickOutbox();
+  return item;
+}
+
+function backoffDelay(attempts) {
+  const delay = config.outboxBaseDelayMs * 2 ** Math.max(0, attempts - 1);
+  return Math.min(delay, config.outboxMaxDelayMs);
+}
+
+async function deliver(item) {
+  // Never mark an item UpPromote didn't confirm as delivered
+  const invalid = invalidAdjustment(item);
+  if (invalid) {
+    store.transaction((state) => {
+      const rec = state.outbox.find((i) => i.id === item.id);
+      if (!rec) return;
+      rec.status = "dead";
+      rec.nextAttemptAt = null;
+      rec.lastError = `Invalid adjustment: ${invalid}`;
+      rec.updatedAt = new Date().toISOString();
+    });
+    error("[Outbox] Invalid adjustment dead-lettered", {
+      id: item.id,
+      referralId: item.referralId,
+      amount: item.amount,
+      reason: invalid,
+    });
+    return;
+  }
+
+  try {
+    await addReferralAdjustment(item.referralId, item.amount);
+
+    store.transaction((state) => {
+      const rec = state.outbox.find((i) => i.id === item.id);
+      if (!rec) return;
+      rec.status = "delivered";
+      rec.attempts += 1;
+      rec.lastError = null;
+      rec.deliveredAt = new Date().toISOString();
+      rec.updatedAt = rec.deliveredAt;
+    });
+
+    log("[Outbox] Adjustment delivered", {
+      id: item.id,
+      referralId: item.referralId,
+      amount: item.amount,
+    });
+  } catch (err) {
+    if (err.circuitOpen) {
+      // UpPromote is down; the item stays due and is sent once it is back
+      log("[Outbox] UpPromote unavailable, delivery postponed", { id: item.id });
+      return;
+    }
+
+    const updated = store.transaction((state) => {
+      const rec = state.outbox.find((i) => i.id === item.id);
+      if (!rec) return null;
+      rec.attempts += 1;
+      rec.lastError = err.response?.data?.message || err.message;
+      rec.updatedAt = new Date().toISOString();
+
+      if (rec.attempts >= config.outboxMaxAttempts) {
+        rec.status = "dead";
+        rec.nextAttemptAt = null;
+      } else {
+        rec.nextAttemptAt = new Date(
+          Date.now() + backoffDelay(rec.attempts),
+        ).toISOString();
+      }
+      return rec;
+    });
+
+    if (updated?.status === "dead") {
+      error("[Outbox] Adjustment dead-lettered after max attempts", {
+        id: item.id,
+        referralId: item.referralId,
+        amount: item.amount,
+        attempts: updated.attempts,
+        lastError: updated.lastError,
+      });
+    } else if (updated) {
+      log("[Outbox] Adjustment delivery failed, will retry", {
+        id: item.id,
+        referralId: item.referralId,
+        attempts: updated.attempts,
+        nextAttemptAt: updated.nextAttemptAt,
+        error: updated.lastError,
+      });
+    }
+  }
+}
+
+/**
+ * Deliver every pending item that is due. Items are sent one by one in
+ * creation order so adjustments for a referral reach UpPromote in order.
+ *
+ * @returns {Promise<number>} number of items attempted
+ */
+async function processOutbox() {
+  if (draining) {
+    // Items enqueued during a drain are picked up by one more pass
+    rerunRequested = true;
+    return draining;
+  }
+
+  draining = (async () => {
+    let attempted = 0;
+    do {
+      rerunRequested = false;
+      const now = new Date().toISOString();
+      const due = store.read((state) =>
+        state.outbox.filter(
+          (i) => i.status === "pending" && i.nextAttemptAt <= now,
+        ),
+      );
+
+      for (const item of due) {
+        if (!isProviderAvailable("uppromote")) break;
+        await deliver(item);
+        attempted += 1;
+      }
+    } while (rerunRequested);
+    return attempted;
+  })();
+
+  try {
+    return await draining;
+  } finally {
+    draining = null;
+  }
+}
+
+/**
+ * Try to deliver right away without waiting for the next poll.
+ */
+function kickOutbox() {
+  setImmediate(() => {
+    processOutbox().catch((err) =>
+      error("[Outbox] Error while draining outbox", { message: err.message }),
+    );
+  });
+}
+
+function startOutboxWorker() {
+  if (workerTimer) return;
+  workerTimer = setInterval(kickOutbox, config.outboxPollIntervalMs);
+  workerTimer.unref();
+  log("[Outbox] Worker started", {
+    pollIntervalMs: config.outboxPollIntervalMs,
+    maxAttempts: config.outboxMaxAttempts,
+  });
+  kickOutbox();
+}
+
+function stopOutboxWorker() {
+  if (!workerTimer) return;
+  clearInterval(workerTimer);
+  workerTimer = null;
+  log("[Outbox] Worker stopped");
+}
+
+/**
+ * @param {Object} [filter]
+ * @param {string} [filter.status] - pending | delivered | dead | resolved
+ * @param {string|number} [filter.referralId]
+ * @returns {Array<Object>}
+ */
+function listOutbox({ status, referralId } = {}) {
+  return store.read((state) =>
+    state.outbox.filter(
+      (i) =>
+        (!status || i.status === status) &&
+        (referralId === undefined || String(i.referralId) === String(referralId)),
+    ),
+  );
+}
+
+/**
+ * Put a dead-lettered item back in the queue with a fresh attempt budget.
+ *
+ * @returns {Object|null} the item, or null if it is not dead-lettered
+ */
+function retryDeadLetter(id) {
+  const item = store.transaction((state) => {
+    const rec = state.outbox.find((i) => i.id === id);
+    if (!rec || rec.status !== "dead") return null;
+    rec.status = "pending";
+    rec.attempts = 0;
+    rec.nextAttemptAt = new Date().toISOString();
+    rec.updatedAt = rec.nextAttemptAt;
+    return rec;
+  });
+
+  if (item) {
+    log("[Outbox] Dead-lettered adjustment re-queued", { id });
+    kickOutbox();
+  }
+  return item;
+}
+
+/**
+ * Close a dead-lettered item without sending it, e.g. after the operator
+ * fixed the commission by hand in UpPromote.
+ *
+ * @returns {Object|null} the item, or null if it is not dead-lettered
+ */
+function resolveDeadLetter(id, { note, operator } = {}) {
+  const item = store.transaction((state) => {
+    const rec = state.outbox.find((i) => i.id === id);
+    if (!rec || rec.status !== "dead") return null;
+    rec.status = "resolved";
+    rec.resolution = {
+      note: note || null,
+      operator: operator || null,
+      resolvedAt: new Date().toISOString(),
+    };
+    rec.updatedAt = rec.resolution.resolvedAt;
+    return rec;
+  });
+
+  if (item) {
+    log("[Outbox] Dead-lettered adjustment resolved manually", {
+      id,
+      operator,
+      note,
+    });
+  }
+  return item;
+}
+
+onCircuitClose((provider) => {
+  if (provider === "uppromote") kickOutbox();
+});
+
+module.exports = {
+  addToOutbox,
+  enqueueAdjustment,
+  processOutbox,
+  kickOutbox,
+  startOutboxWorker,
+  stopOutboxWorker,
+  listOutbox,
+  retryDeadLetter,
+  resolveDeadLetter,
+};
@@ -0,0 +1,65 @@
+// src/services/auditLog.js
+const crypto = require("crypto");
+const store = require("../storage");
+const { normalizeEmail } = require("../utils/email");
+
+/**
+ * Append-only audit log of operator actions on the ledger (manual grants,
+ * revocations, ...). There is deliberately no update or delete.
+ */
+
+/**
+ * Append an audit record inside an open storage transaction, so the record
+ * exists if and only if the audited change was committed.
+ *
+ * @param {Object} state - transaction draft
+ * @param {Object} entry
+ * @param {string} entry.operator - who did it
+ * @param {string} entry.action - e.g. "credit-grant", "credit-revoke"
+ * @param {string} entry.reason
+ * @returns {Object} the stored record
+ */
+function appendAudit(state, entry) {
+  const record = {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    ...entry,
+  };
+  state.auditLog.push(record);
+  return record;
+}
+
+/**
+ * Audit records, newest first.
+ *
+ * @param {Object} [filter]
+ * @param {string} [filter.customerEmail]
+ * @param {string} [filter.operator]
+ * @param {string} [filter.action]
+ * @param {number} [filter.limit=100]
+ * @param {number} [filter.offset=0]
+ * @returns {{total:number, records:Array<Object>}}
+ */
+function listAuditLog({ customerEmail, operator, action, limit = 100, offset = 0 } = {}) {
+  const email = normalizeEmail(customerEmail);
+  return store.read((state) => {
+    const matching = state.auditLog
+      .filter(
+        (r) =>
+          (!email || normalizeEmail(r.customerEmail) === email) &&
+          (!operator || r.operator === operator) &&
+          (!action || r.action === action),
+      )
+      .reverse();
+
+    return {
+      total: matching.length,
+      records: matching.slice(offset, offset + limit),
+    };
+  });
+}
+
+module.exports = {
+  appendAudit,
+  listAuditLog,
+};
@@ -0,0 +1,270 @@
+// src/services/codeLifecycle.js
+const config = require("../config");
+const { log, error } = require("../utils/logger");
+const { isProviderAvailable } = require("../utils/circuitBreaker");
+const {
+  recordDiscountRemoval,
+  getOpenSubscriptionApplications,
+  getReferralCredit,
+  withCustomerLock
+} = require("./creditService");
+const {
+  getDiscountCode,
+  getCodeAccount,
+  listCodesDueForCleanup,
+  getOpenApplications,
+  retireCode
+} = require("./discountCodeRegistry");
+const {
+  isShopifyConfigured,
+  deactivateDiscountCode,
+  deleteDiscountCode
+} = require("./shopifyClient");
+const { removeDiscountCode } = require("./sealClient");
+
+/**
+ * Discount code lifecycle: codes are minted with a Shopify expiry and
+ * registered with their node ID; this worker periodically retires codes that
+ * expired unused or were never attached to a subscription.
+ *
+ * Retiring a code means, in order:
+ * 1. deactivate (or delete, CODE_CLEANUP_ACTION) it in Shopify, so it can no
+ *    longer be redeemed,
+ * 2. take it off the Seal subscriptions it is still attached to,
+ * 3. return the credit spent on it to the ledger (see retireCode).
+ *
+ * A code whose Shopify step fails is left alone and retried on the next
+ * sweep; the credit only comes back once the code is unusable. While the
+ * Shopify or Seal circuit is open the sweep is skipped.
+ *
+ * The same steps release the credit on a subscription that Seal reports as
+ * cancelled or paused (see releaseSubscriptionCredit).
+ */
+
+let workerTimer = null;
+let sweeping = null;
+
+/**
+ * Take a code out of Shopify. A code Shopify no longer knows (or that has
+ * already expired there) counts as done.
+ */
+async function retireInShopify(code, nodeId) {
+  if (config.codeCleanupAction === "delete") {
+    const result = await deleteDiscountCode(code, nodeId);
+    return result.deleted || result.reason === "not-found";
+  }
+  const result = await deactivateDiscountCode(code);
+  return result.deactivated || ["not-found", "expired"].includes(result.reason);
+}
+
+/**
+ * Retire one code due for cleanup. The caller holds the lock of the account
+ * the code's credit belongs to.
+ *
+ * @param {{code:string, nodeId:string|null, reason:string, openApplications:Array<Object>}} item
+ * @returns {Promise<Object>} per-code outcome
+ */
+async function cleanupCode({ code, nodeId, reason, openApplications }) {
+  const outcome = { code, reason, retired: false, removedFrom: [], errors: [] };
+
+  try {
+    if (!(await retireInShopify(code, nodeId))) {
+      outcome.errors.push({ step: `shopify-${config.codeCleanupAction}`, error: "not retired" });
+      return outcome;
+    }
+  } catch (err) {
+    if (err.circuitOpen) throw err;
+    outcome.errors.push({ step: `shopify-${config.codeCleanupAction}`, error: err.message });
+    return outcome;
+  }
+
+  for (const { referralId, subscriptionId } of openApplications) {
+    try {
+      await removeDiscountCode(subscriptionId, code);
+      recordDiscountRemoval(referralId, subscriptionId, code);
+      outcome.removedFrom.push(subscriptionId);
+    } catch (err) {
+      // Seal is down: stop before the credit comes back; retiring again is
+      // harmless
+      if (err.circuitOpen) throw err;
+      // The code is already unusable in Shopify, so a stale reference on the
+      // subscription is harmless; keep going
+      outcome.errors.push({ step: "seal-remove", subscriptionId, error: err.message });
+    }
+  }
+
+  const result = retireCode(code, { reason, action: config.codeCleanupAction });
+  outcome.retired = result.retired;
+  outcome.returned = result.returned || 0;
+  return outcome;
+}
+
+/**
+ * One cleanup pass over every code due for retirement. Concurrent calls
+ * share the pass in progress.
+ *
+ * @returns {Promise<Array<Object>>} per-code outcomes
+ */
+async function sweepCodes() {
+  if (sweeping) return sweeping;
+
+  sweeping = (async () => {
+    if (!isShopifyConfigured) return [];
+    if (!isProviderAvailable("shopify") || !isProviderAvailable("seal")) {
+      log("[CodeLifecycle] Provider unavailable, cleanup sweep skipped");
+      return [];
+    }
+
+    const due = listCodesDueForCleanup();
+    const outcomes = [];
+    for (const item of due) {
+      try {
+        // Returning the credit changes the account's balance, so it waits
+        // for a spend in progress like every other balance change
+        const account = getCodeAccount(item.code);
+        outcomes.push(
+          await (account ? withCustomerLock(account, () => cleanupCode(item)) : cleanupCode(item))
+        );
+      } catch (err) {
+        if (!err.circuitOpen) throw err;
+        log("[CodeLifecycle] Provider went down, cleanup sweep stopped", {
+          provider: err.provider,
+          remaining: due.length - outcomes.length
+        });
+        break;
+      }
+    }
+
+    if (outcomes.length > 0) {
+      log("[CodeLifecycle] Cleanup sweep finished", {
+        due: due.length,
+        retired: outcomes.filter((o) => o.retired).length,
+        returned: outcomes.reduce((sum, o) => sum + (o.returned || 0), 0)
+      });
+    }
+    const failed = outcomes.filter((o) => o.errors.length > 0);
+    if (failed.length > 0) {
+      error("[CodeLifecycle] Some cleanup steps failed", { failed });
+    }
+    return outcomes;
+  })();
+
+  try {
+    return await sweeping;
+  } finally {
+    sweeping = null;
+  }
+}
+
+/**
+ * Take every open credit code off a cancelled or paused subscription.
+ *
+ * A code that is on no other subscription is retired as "detached", which
+ * returns its unspent value to the ledger so it can be attached again when
+ * a new or resumed subscription appears. A code shared with other active
+ * subscriptions ("all" strategy) is only removed from this one. If the
+ * Shopify step fails the code stays where it is, and the sweep retires it
+ * once it expires. A CircuitOpenError is rethrown so the job gets parked.
+ *
+ * Returning credit changes the balance a concurrent spend may have just
+ * read, so this runs under the lock of the account the subscription's
+ * credit came from.
+ *
+ * @param {string|number} subscriptionId
+ * @param {Object} params
+ * @param {string} params.event - Seal event that triggered it, e.g. "cancelled"
+ * @returns {Promise<{subscriptionId:string|number, released:Array<Object>, returned:number, errors:Array<Object>}>}
+ */
+function releaseSubscriptionCredit(subscriptionId, { event }) {
+  const [open] = getOpenSubscriptionApplications(subscriptionId);
+  const customerEmail = open ? getReferralCredit(open.referralId)?.customerEmail : null;
+  if (!customerEmail) return releaseSubscriptionCreditLocked(subscriptionId, { event });
+  return withCustomerLock(customerEmail, () =>
+    releaseSubscriptionCreditLocked(subscriptionId, { event })
+  );
+}
+
+async function releaseSubscriptionCreditLocked(subscriptionId, { event }) {
+  const outcome = { subscriptionId, event, released: [], returned: 0, errors: [] };
+
+  const byCode = new Map();
+  for (const { referralId, discountCode } of getOpenSubscriptionApplications(subscriptionId)) {
+    if (!byCode.has(discountCode)) byCode.set(discountCode, []);
+    byCode.get(discountCode).push(referralId);
+  }
+
+  for (const [code, referralIds] of byCode) {
+    const registered = getDiscountCode(code);
+    const elsewhere = getOpenApplications(code).filter(
+      (app) => String(app.subscriptionId) !== String(subscriptionId)
+    );
+
+    if (registered && registered.status === "active" && elsewhere.length === 0) {
+      const result = await cleanupCode({
+        code,
+        nodeId: registered.nodeId || null,
+        reason: "detached",
+        openApplications: referralIds.map((referralId) => ({ referralId, subscriptionId }))
+      });
+      outcome.released.push({ code, retired: result.retired, returned: result.returned || 0 });
+      outcome.returned += result.returned || 0;
+      outcome.errors.push(...result.errors.map((err) => ({ code, ...err })));
+      continue;
+    }
+
+    // Still in use elsewhere (or not ours to retire): just take it off here
+    try {
+      await removeDiscountCode(subscriptionId, code);
+      for (const referralId of referralIds) {
+        recordDiscountRemoval(referralId, subscriptionId, code);
+      }
+      outcome.released.push({ code, retired: false, returned: 0 });
+    } catch (err) {
+      if (err.circuitOpen) throw err;
+      outcome.errors.push({ code, step: "seal-remove", subscriptionId, error: err.message });
+    }
+  }
+
+  if (outcome.released.length > 0) {
+    log("[CodeLifecycle] Released credit from inactive subscription", outcome);
+  }
+  if (outcome.errors.length > 0) {
+    error("[CodeLifecycle] Some release steps failed", {
+      subscriptionId,
+      errors: outcome.errors
+    });
+  }
+  return outcome;
+}
+
+function runSweep() {
+  sweepCodes().catch((err) =>
+    error("[CodeLifecycle] Error during cleanup sweep", { message: err.message })
+  );
+}
+
+function startCodeCleanupWorker() {
+  if (workerTimer || !config.codeCleanupIntervalMs) return;
+  workerTimer = setInterval(runSweep, config.codeCleanupIntervalMs);
+  workerTimer.unref();
+  log("[CodeLifecycle] Cleanup worker started", {
+    intervalMs: config.codeCleanupIntervalMs,
+    action: config.codeCleanupAction,
+    expiryDays: config.discountCodeExpiryDays,
+    orphanGraceHours: config.orphanCodeGraceHours
+  });
+}
+
+function stopCodeCleanupWorker() {
+  if (!workerTimer) return;
+  clearInterval(workerTimer);
+  workerTimer = null;
+  log("[CodeLifecycle] Cleanup worker stopped");
+}
+
+module.exports = {
+  sweepCodes,
+  releaseSubscriptionCredit,
+  startCodeCleanupWorker,
+  stopCodeCleanupWorker
+};
@@ -0,0 +1,175 @@
+// src/services/creditScheduler.js
+const config = require("../config");
+const { log, error } = require("../utils/logger");
+const { isProviderAvailable } = require("../utils/circuitBreaker");
+const {
+  listCustomersWithCredit,
+  getTotalCreditForCustomer,
+  getOpenSubscriptionApplications
+} = require("./creditService");
+const { getSubscriberEmails } = require("./identityService");
+const { getSubscriptionsByEmail, subscriptionEmail } = require("./sealClient");
+const { nextBillingTime } = require("./subscriptionSelection");
+const { attachCreditToSubscription } = require("./walletService");
+
+/**
+ * Credit scheduler for CREDIT_SPEND_MODE=scheduled.
+ *
+ * Credit stays on the ledger until a subscription is about to bill. Every
+ * CREDIT_SCHEDULER_INTERVAL_MS the scheduler looks up the ACTIVE Seal
+ * subscriptions of each account with a balance and, for those whose next
+ * billing date is within CREDIT_APPLY_WINDOW_HOURS, mints and attaches a
+ * code (soonest first, each capped at its order value).
+ *
+ * A subscription that already has an open credit code is skipped, so a
+ * pass can be repeated safely. Subscriptions without a next billing date
+ * are never credited by the scheduler. While the Seal or Shopify circuit is
+ * open the pass is skipped; the next one catches up.
+ */
+
+let workerTimer = null;
+let running = null;
+
+/**
+ * ACTIVE subscriptions of a ledger account, across its linked emails.
+ */
+async function subscriptionsOfAccount(customerEmail) {
+  const byId = new Map();
+  for (const email of getSubscriberEmails(customerEmail)) {
+    for (const sub of await getSubscriptionsByEmail(email)) {
+      if (sub.id && !byId.has(String(sub.id))) byId.set(String(sub.id), sub);
+    }
+  }
+  return [...byId.values()];
+}
+
+/**
+ * Attach credit to one account's subscriptions that bill within the window.
+ *
+ * @param {string} customerEmail - ledger account
+ * @param {number} windowEnd - ms timestamp
+ * @returns {Promise<Array<Object>>} per-subscription outcomes
+ */
+async function scheduleAccount(customerEmail, windowEnd) {
+  const due = (await subscriptionsOfAccount(customerEmail))
+    .map((sub) => ({ sub, billsAt: nextBillingTime(sub) }))
+    .filter(({ billsAt }) => billsAt !== Infinity && billsAt <= windowEnd)
+    .sort((a, b) => a.billsAt - b.billsAt);
+
+  const outcomes = [];
+  for (const { sub, billsAt } of due) {
+    const outcome = {
+      customerEmail,
+      subscriptionId: sub.id,
+      nextBillingAt: new Date(billsAt).toISOString()
+    };
+
+    if (getOpenSubscriptionApplications(sub.id).length > 0) {
+      outcomes.push({ ...outcome, message: "credit-already-attached" });
+      continue;
+    }
+    if (getTotalCreditForCustomer(customerEmail) <= 0) break;
+
+    try {
+      const { breakdown, ...result } = await attachCreditToSubscription({
+        subscriptionId: sub.id,
+        customerEmail: subscriptionEmail(sub) || customerEmail,
+        totalValue: Number(sub.total_value || 0),
+        trigger: "scheduled"
+      });
+      outcomes.push({ ...outcome, ...result });
+    } catch (err) {
+      if (err.circuitOpen) throw err;
+      // Nothing was spent; the next pass tries again while still in the window
+      outcomes.push({ ...outcome, success: false, error: err.message });
+    }
+  }
+  return outcomes;
+}
+
+/**
+ * One scheduler pass over every account with credit. Concurrent calls share
+ * the pass in progress.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<Array<Object>>} per-subscription outcomes
+ */
+async function runCreditSchedule(now = new Date()) {
+  if (running) return running;
+
+  running = (async () => {
+    if (!isProviderAvailable("seal") || !isProviderAvailable("shopify")) {
+      log("[CreditScheduler] Provider unavailable, scheduler pass skipped");
+      return [];
+    }
+
+    const windowEnd = now.getTime() + config.creditApplyWindowHours * 60 * 60 * 1000;
+    const accounts = listCustomersWithCredit();
+    const outcomes = [];
+
+    for (const { customerEmail } of accounts) {
+      try {
+        outcomes.push(...(await scheduleAccount(customerEmail, windowEnd)));
+      } catch (err) {
+        if (err.circuitOpen) {
+          log("[CreditScheduler] Provider went down, scheduler pass stopped", {
+            provider: err.provider
+          });
+          break;
+        }
+        outcomes.push({ customerEmail, success: false, error: err.message });
+      }
+    }
+
+    const attached = outcomes.filter((o) => o.discountCode);
+    if (attached.length > 0) {
+      log("[CreditScheduler] Attached credit ahead of billing", {
+        accounts: accounts.length,
+        attached: attached.length,
+        usedCredit: attached.reduce((sum, o) => sum + (o.usedCredit || 0), 0)
+      });
+    }
+    const failed = outcomes.filter((o) => o.success === false);
+    if (failed.length > 0) {
+      error("[CreditScheduler] Some subscriptions could not be credited", { failed });
+    }
+    return outcomes;
+  })();
+
+  try {
+    return await running;
+  } finally {
+    running = null;
+  }
+}
+
+function runPass() {
+  runCreditSchedule().catch((err) =>
+    error("[CreditScheduler] Error during scheduler pass", { message: err.message })
+  );
+}
+
+function startCreditScheduler() {
+  if (workerTimer || config.creditSpendMode !== "scheduled" || !config.creditSchedulerIntervalMs) {
+    return;
+  }
+  workerTimer = setInterval(runPass, config.creditSchedulerIntervalMs);
+  workerTimer.unref();
+  log("[CreditScheduler] Scheduler started", {
+    intervalMs: config.creditSchedulerIntervalMs,
+    windowHours: config.creditApplyWindowHours
+  });
+}
+
+function stopCreditScheduler() {
+  if (!workerTimer) return;
+  clearInterval(workerTimer);
+  workerTimer = null;
+  log("[CreditScheduler] Scheduler stopped");
+}
+
+module.exports = {
+  runCreditSchedule,
+  startCreditScheduler,
+  stopCreditScheduler
+};
@@ -1,63 +1,31 @@
 // src/services/creditService.js
+const crypto = require("crypto");
 const { log, error } = require("../utils/logger");
-const { addReferralAdjustment } = require("./upPromoteClient");
-
-// In–memory storage
-// referralId -> record
-const referralCredits = new Map();
-// customerEmail (or fallback email) -> Set(referralIds)
-const customerToReferrals = new Map();
-
-/**
- * Try to extract an email from the UpPromote referral payload.
- * Priority:
- * 1) customer_email
- * 2) payload.customer.email (if they ever add it)
- * 3) payload.email
- * 4) affiliate.email (fallback – what you asked for)
- */
-function extractEmailFromReferral(payload) {
-  const affiliateEmail = payload.affiliate?.email || null;
-  const customerEmail = payload.customer_email || null;
-  const customerObjectEmail = payload.customer?.email || null;
-  const genericEmail = payload.email || null;
-
-  log("[UpPromote] Available email fields in webhook", {
-    affiliate_email: affiliateEmail,
-    customer_email: customerEmail,
-    customer_object_email: customerObjectEmail,
-    email: genericEmail,
-    referralId: payload.id,
-  });
-
-  let email = customerEmail || customerObjectEmail || genericEmail;
-
-  let source = "none";
-
-  if (email) {
-    if (email === customerEmail) source = "customer_email";
-    else if (email === customerObjectEmail) source = "customer.email";
-    else if (email === genericEmail) source = "email";
-  } else if (affiliateEmail) {
-    // 👉 Fallback when no customer email is provided
-    email = affiliateEmail;
-    source = "affiliate.email";
-  }
+const { addToOutbox, kickOutbox } = require("./adjustmentOutbox");
+const { appendAudit } = require("./auditLog");
+const { resolveLedgerEmail, resolveReferralIdentity } = require("./identityService");
+const store = require("../storage");
+const { withLock } = require("../locks");
 
-  if (email) {
-    log("[UpPromote] Extracted email from webhook", {
-      email,
-      referralId: payload.id,
-      source,
-      commissionAmount: payload.commission,
-    });
-  } else {
-    log("[UpPromote] Could not extract any email from webhook", {
-      referralId: payload.id,
-    });
-  }
+// Persistent storage (see src/storage):
+// state.referrals: referralId -> record
+// state.customers: ledger email (normalized, see identityService) -> [referralIds]
+// state.entries:   append-only list of credit movements
+// state.reversedReferrals: UpPromote referralId -> tombstone of a reversal
+//                  that arrived before the approval
 
-  return email;
+/**
+ * Append a ledger entry inside an open storage transaction.
+ */
+function appendEntry(state, entry) {
+  // Every entry of a referral record says who the credit belongs to
+  const recipient = state.referrals[entry.referralId]?.recipient;
+  state.entries.push({
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    ...(recipient ? { recipient } : {}),
+    ...entry,
+  });
 }
 
 /**
@@ -72,8 +40,6 @@ function storeReferralCredit(payload) {
     const commissionRaw = payload.commission || payload.commission_amount || "0";
     const commission = parseFloat(commissionRaw);
 
-    const email = extractEmailFromReferral(payload);
-
     if (!referralId || isNaN(commission)) {
       error("[CreditService] Missing referralId or commission, skipping credit store", {
         referralId,
@@ -82,39 +48,101 @@ function storeReferralCredit(payload) {
       return;
     }
 
-    if (!email) {
-      // Even with fallback we found no email – truly unusable
+    // CREDIT_ATTRIBUTION decides whose account(s) get the commission
+    const identity = resolveReferralIdentity(payload);
+
+    if (identity.recipients.length === 0) {
+      // No email for anyone the policy allows – truly unusable
       error(
         "[CreditService] No usable email in referral payload, skipping credit store",
         {
           referralId,
           commission,
+          policy: identity.policy,
         }
       );
       return;
     }
 
-    const customerEmail = email;
-    const record = {
-      referralId,
-      affiliateId: payload.affiliate?.id || null,
-      affiliateEmail: payload.affiliate?.email || null,
-      customerEmail,
-      remainingCommission: commission,
-      createdAt: payload.created_at || new Date().toISOString(),
-    };
+    // One ledger record per recipient; a split referral gets
+    // "<referralId>:affiliate" and "<referralId>:customer"
+    const split = identity.recipients.length > 1;
+    let left = commission;
+    const records = identity.recipients.map((recipient, i) => {
+      const amount =
+        i === identity.recipients.length - 1
+          ? Math.round(left * 100) / 100
+          : Math.round(commission * recipient.share * 100) / 100;
+      left -= amount;
 
-    if (!customerToReferrals.has(customerEmail)) {
-      customerToReferrals.set(customerEmail, new Set());
-      log("[CreditService] Created new customer entry", { customerEmail });
-    }
+      return {
+        // customerEmail is the ledger account the credit belongs to
+        referralId: split ? `${referralId}:${recipient.role}` : referralId,
+        source: "referral",
+        upPromoteReferralId: referralId,
+        affiliateId: payload.affiliate?.id || null,
+        affiliateEmail: payload.affiliate?.email || null,
+        customerEmail: recipient.email,
+        recipient: recipient.role,
+        recipientSource: recipient.source,
+        attribution: {
+          policy: identity.policy,
+          share: recipient.share,
+          fallback: recipient.fallback,
+        },
+        commission: amount,
+        remainingCommission: amount,
+        status: "active",
+        // Shopify codes and Seal subscriptions this referral's credit went to
+        discountCodes: [],
+        subscriptions: [],
+        createdAt: payload.created_at || new Date().toISOString(),
+      };
+    });
+
+    const stored = store.transaction((state) => {
+      // UpPromote already denied / refunded / reversed this referral (the
+      // events crossed), so there is no credit to store
+      if (state.reversedReferrals[referralId]) return "reversed";
+      // A retried webhook must never reset a balance that was already
+      // (partly) consumed, so existing referrals are left untouched.
+      if (findReferralRecords(state, referralId).length > 0) return null;
+
+      for (const record of records) {
+        const { customerEmail } = record;
+        if (!state.customers[customerEmail]) {
+          state.customers[customerEmail] = [];
+          log("[CreditService] Created new customer entry", { customerEmail });
+        }
+        state.customers[customerEmail].push(record.referralId);
+        state.referrals[record.referralId] = record;
+        appendEntry(state, {
+          type: "credit",
+          referralId: record.referralId,
+          customerEmail,
+          amount: record.commission,
+        });
+      }
+      return records.length;
+    });
 
-    customerToReferrals.get(customerEmail).add(referralId);
-    referralCredits.set(referralId, record);
+    if (stored === null) {
+      log("[CreditService] Referral already on ledger, keeping existing balance", {
+        referralId,
+      });
+      return;
+    }
+    if (stored === "reversed") {
+      log("[CreditService] Referral was reversed before its approval, no credit stored", {
+        referralId,
+      });
+      return;
+    }
 
     log("[CreditService] Successfully stored referral credit", {
-      ...record,
-      totalReferralsForCustomer: customerToReferrals.get(customerEmail).size,
+      referralId,
+      policy: identity.policy,
+      records,
     });
   } catch (err) {
     error("[CreditService] Error in storeReferralCredit:", err);
@@ -122,75 +150,227 @@ function storeReferralCredit(payload) {
 }
 
 /**
- * Compute total available credit for a customer (or affiliate fallback email).
+ * Ledger records of an UpPromote referral: the record keyed by its ID, or
+ * the per-recipient records of a split referral.
+ *
+ * @param {Object} state
+ * @param {string|number} referralId
+ * @returns {Array<Object>}
  */
-function getTotalCreditForCustomer(customerEmail) {
-  const ids = customerToReferrals.get(customerEmail);
-  if (!ids || ids.size === 0) {
-    log("[CreditService] No referrals for customer", { customerEmail });
-    return 0;
-  }
+function findReferralRecords(state, referralId) {
+  if (state.referrals[referralId]) return [state.referrals[referralId]];
+  return Object.values(state.referrals).filter(
+    (rec) =>
+      rec.source === "referral" && String(rec.upPromoteReferralId) === String(referralId),
+  );
+}
+
+/**
+ * Net balance across a customer's referrals. Reversed referrals whose credit
+ * was already spent carry a negative remainingCommission (a debt), which is
+ * offset against the credit of their other referrals.
+ *
+ * @returns {number|null} null when the customer has no referrals
+ */
+function netBalance(state, customerEmail) {
+  const ids = state.customers[customerEmail];
+  if (!ids || ids.length === 0) return null;
 
-  let total = 0;
+  let sum = 0;
   for (const id of ids) {
-    const rec = referralCredits.get(id);
-    if (rec && rec.remainingCommission > 0) {
-      total += rec.remainingCommission;
+    const rec = state.referrals[id];
+    if (rec) {
+      sum += rec.remainingCommission;
     }
   }
+  return sum;
+}
+
+/**
+ * Available credit on the ledger account of an email (normalized, following
+ * identity links).
+ */
+function getTotalCreditForCustomer(email) {
+  const { customerEmail, net } = store.read((state) => {
+    const key = resolveLedgerEmail(state, email);
+    return { customerEmail: key, net: netBalance(state, key) };
+  });
+
+  if (net === null) {
+    log("[CreditService] No referrals for customer", { customerEmail });
+    return 0;
+  }
+
+  const total = Math.max(0, net);
 
   log("[CreditService] Total credit for customer", { customerEmail, total });
   return total;
 }
 
 /**
- * Consume credit up to amountToUse for a customer (or affiliate email),
- * and send negative adjustments back to UpPromote.
+ * Serialize credit spending for one ledger account: run `fn` while holding
+ * the account's lock, so only one read-decide-consume sequence (check the
+ * balance, mint and attach a code, consume) runs at a time. Linked emails
+ * share their account's lock. Not reentrant.
  *
- * @returns {Promise<{used:number, breakdown:Array<{referralId:number, used:number}>}>}
+ * @template T
+ * @param {string} email - any email of the account
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
  */
-async function consumeCreditForCustomer(customerEmail, amountToUse) {
-  const ids = customerToReferrals.get(customerEmail);
-  if (!ids || ids.size === 0) {
-    log("[CreditService] No referrals found for customer", { customerEmail });
-    return { used: 0, breakdown: [] };
-  }
+function withCustomerLock(email, fn) {
+  const customerEmail = store.read((state) => resolveLedgerEmail(state, email));
+  return withLock(`customer:${customerEmail}`, fn);
+}
 
-  let remainingToUse = amountToUse;
-  const breakdown = [];
+/**
+ * withCustomerLock() for a change that touches several accounts (e.g. a
+ * split referral's affiliate and customer records). The locks are taken in
+ * a fixed order so two such changes can't wait on each other.
+ *
+ * @template T
+ * @param {Array<string>} emails - any emails of the accounts
+ * @param {() => Promise<T>|T} fn
+ * @returns {Promise<T>}
+ */
+async function withCustomerLocks(emails, fn) {
+  const accounts = store.read((state) =>
+    [...new Set(emails.filter(Boolean).map((email) => resolveLedgerEmail(state, email)))].sort(),
+  );
+  const locked = accounts.reduceRight(
+    (next, account) => () => withLock(`customer:${account}`, next),
+    fn,
+  );
+  return locked();
+}
+
+/**
+ * Ledger accounts with a positive balance.
+ *
+ * @returns {Array<{customerEmail:string, balance:number}>}
+ */
+function listCustomersWithCredit() {
+  return store.read((state) =>
+    Object.keys(state.customers)
+      .map((customerEmail) => ({
+        customerEmail,
+        balance: netBalance(state, customerEmail) || 0,
+      }))
+      .filter((c) => c.balance > 0),
+  );
+}
+
+/**
+ * Take up to `amount` from a customer's referrals, oldest first, inside an
+ * open transaction. Every draw is a ledger entry of the given type; when
+ * `mirror` is set, a matching negative adjustment is queued for UpPromote
+ * against the referral it came from (if it has an UpPromote referral).
+ *
+ * @returns {Array<Object>|null} per-referral breakdown, null when the customer has no referrals
+ */
+function drawDown(
+  state,
+  customerEmail,
+  amount,
+  { type, reason, mirror, context = {}, referralIds = null },
+) {
+  const customerIds = state.customers[customerEmail];
+  if (!customerIds || customerIds.length === 0) return null;
+
+  // Optionally restrict the draw to specific referrals (e.g. the one whose
+  // discount code was just applied)
+  const ids = referralIds
+    ? customerIds.filter((id) => referralIds.some((r) => String(r) === String(id)))
+    : customerIds;
+
+  // Outstanding debt from reversed referrals limits what can be spent
+  let remainingToUse = Math.min(
+    amount,
+    Math.max(0, netBalance(state, customerEmail)),
+  );
+  const used = [];
 
   for (const id of ids) {
     if (remainingToUse <= 0) break;
 
-    const rec = referralCredits.get(id);
+    const rec = state.referrals[id];
     if (!rec || rec.remainingCommission <= 0) continue;
 
     const use = Math.min(rec.remainingCommission, remainingToUse);
-
-    // Update in-memory record
     rec.remainingCommission -= use;
-    referralCredits.set(id, rec);
-
-    // Negative adjustment to UpPromote
-    try {
-      await addReferralAdjustment(id, -use);
-      log("[CreditService] Sent negative adjustment to UpPromote", {
-        referralId: id,
-        used: use,
-      });
-    } catch (err) {
-      error("[CreditService] Failed to send adjustment to UpPromote", {
-        referralId: id,
-        used: use,
-        error: err.message,
-      });
+    appendEntry(state, {
+      type,
+      referralId: rec.referralId,
+      customerEmail,
+      amount: -use,
+      ...context,
+    });
+
+    let adjustmentId = null;
+    if (mirror && rec.upPromoteReferralId) {
+      adjustmentId = addToOutbox(state, {
+        referralId: rec.upPromoteReferralId,
+        amount: -use,
+        reason,
+      }).id;
     }
 
-    breakdown.push({ referralId: id, used: use });
+    used.push({ referralId: rec.referralId, used: use, adjustmentId });
     remainingToUse -= use;
   }
 
-  const used = amountToUse - remainingToUse;
+  return used;
+}
+
+/**
+ * Consume credit up to amountToUse for a customer (or affiliate email),
+ * and queue negative adjustments back to UpPromote. The adjustments are
+ * written to the outbox in the same transaction as the ledger change, so
+ * the two can't diverge if UpPromote is unreachable.
+ *
+ * The draw itself is atomic and never takes more than the net balance. A
+ * caller that decided `amountToUse` from an earlier balance read (and spent
+ * it on a code in between) must hold withCustomerLock() for the whole
+ * sequence. With `allOrNothing`, a balance below `amountToUse` consumes
+ * nothing at all (e.g. for a code that is worth exactly that much).
+ *
+ * @param {string} customerEmail
+ * @param {number} amountToUse
+ * @param {Object} [context] - recorded on the ledger entries, e.g. { subscriptionId }
+ * @param {Object} [options]
+ * @param {boolean} [options.allOrNothing=false]
+ * @returns {Promise<{used:number, breakdown:Array<{referralId:number, used:number, adjustmentId:string|null}>}>}
+ */
+async function consumeCreditForCustomer(
+  email,
+  amountToUse,
+  context = {},
+  { allOrNothing = false } = {},
+) {
+  // Decide and record the whole consumption (plus its outbox items) in one
+  // transaction, so a crash can never leave some referrals decremented and
+  // others not.
+  let customerEmail = email;
+  const breakdown = store.transaction((state) => {
+    customerEmail = resolveLedgerEmail(state, email);
+    if (allOrNothing && netBalance(state, customerEmail) < amountToUse) return [];
+    return drawDown(state, customerEmail, amountToUse, {
+      type: "consume",
+      reason: "credit-consumed",
+      mirror: true,
+      context,
+    });
+  });
+
+  if (!breakdown) {
+    log("[CreditService] No referrals found for customer", { customerEmail });
+    return { used: 0, breakdown: [] };
+  }
+
+  // Negative adjustments to UpPromote are delivered by the outbox worker
+  if (breakdown.length > 0) kickOutbox();
+
+  const used = breakdown.reduce((sum, item) => sum + item.used, 0);
   log("[CreditService] Consumed credit for customer", {
     customerEmail,
     requested: amountToUse,
@@ -201,8 +381,657 @@ async function consumeCreditForCustomer(customerEmail, amountToUse) {
   return { used, breakdown };
 }
 
+/**
+ * Remember which Shopify code and Seal subscriptions a referral's credit was
+ * applied to, so a later reversal can undo it.
+ *
+ * @param {string|number} referralId
+ * @param {Object} params
+ * @param {string} params.discountCode
+ * @param {Array<string|number>} params.subscriptionIds - subscriptions the code was attached to
+ */
+function recordDiscountApplication(referralId, { discountCode, subscriptionIds = [] }) {
+  const recorded = store.transaction((state) => {
+    const rec = state.referrals[referralId];
+    if (!rec) return false;
+
+    if (discountCode && !rec.discountCodes.includes(discountCode)) {
+      rec.discountCodes.push(discountCode);
+    }
+    const appliedAt = new Date().toISOString();
+    for (const subscriptionId of subscriptionIds) {
+      // A retried spend attaches the same code again; keep one open entry
+      const open = rec.subscriptions.some(
+        (s) =>
+          !s.removedAt &&
+          s.discountCode === discountCode &&
+          String(s.subscriptionId) === String(subscriptionId),
+      );
+      if (open) continue;
+      rec.subscriptions.push({
+        subscriptionId,
+        discountCode,
+        appliedAt,
+        removedAt: null,
+      });
+    }
+    return true;
+  });
+
+  if (!recorded) {
+    log("[CreditService] Referral not on ledger, discount application not recorded", {
+      referralId,
+      discountCode,
+    });
+  }
+}
+
+/**
+ * Mark a referral's code as removed from a Seal subscription.
+ */
+function recordDiscountRemoval(referralId, subscriptionId, discountCode) {
+  store.transaction((state) => {
+    const rec = state.referrals[referralId];
+    if (!rec) return;
+    for (const sub of rec.subscriptions) {
+      if (
+        String(sub.subscriptionId) === String(subscriptionId) &&
+        sub.discountCode === discountCode &&
+        !sub.removedAt
+      ) {
+        sub.removedAt = new Date().toISOString();
+      }
+    }
+  });
+}
+
+/**
+ * A subscription was billed: every credit code still open on it has now
+ * been used by that order, so mark those applications as billed.
+ *
+ * @param {string|number} subscriptionId
+ * @param {Object} [params]
+ * @param {string|number} [params.orderId] - Seal order of the billing
+ * @returns {Array<{referralId:string|number, discountCode:string}>} settled applications
+ */
+function settleSubscriptionApplications(subscriptionId, { orderId = null } = {}) {
+  const settled = store.transaction((state) => {
+    const billedAt = new Date().toISOString();
+    const result = [];
+    for (const rec of Object.values(state.referrals)) {
+      for (const sub of rec.subscriptions) {
+        if (
+          String(sub.subscriptionId) === String(subscriptionId) &&
+          !sub.removedAt &&
+          !sub.billedAt
+        ) {
+          sub.billedAt = billedAt;
+          sub.orderId = sub.orderId || orderId;
+          result.push({ referralId: rec.referralId, discountCode: sub.discountCode });
+        }
+      }
+    }
+    return result;
+  });
+
+  if (settled.length > 0) {
+    log("[CreditService] Settled credit codes billed on subscription", {
+      subscriptionId,
+      orderId,
+      settled,
+    });
+  }
+  return settled;
+}
+
+/**
+ * Credit codes attached to a subscription that are still open (neither
+ * removed nor billed yet).
+ *
+ * @param {string|number} subscriptionId
+ * @returns {Array<{referralId:string|number, discountCode:string}>}
+ */
+function getOpenSubscriptionApplications(subscriptionId) {
+  return store.read((state) => {
+    const result = [];
+    for (const rec of Object.values(state.referrals)) {
+      for (const sub of rec.subscriptions) {
+        if (
+          String(sub.subscriptionId) === String(subscriptionId) &&
+          !sub.removedAt &&
+          !sub.billedAt
+        ) {
+          result.push({ referralId: rec.referralId, discountCode: sub.discountCode });
+        }
+      }
+    }
+    return result;
+  });
+}
+
+/**
+ * Reverse a referral's credit after UpPromote denied, refunded or reversed it.
+ *
+ * Unspent credit is clawed back. Whatever was already spent stays on the
+ * referral as a negative remainingCommission, i.e. a debt that is offset
+ * against the customer's future credit.
+ *
+ * A split referral reverses every recipient's record; the totals are summed
+ * and each returned subscription carries the record's referralId.
+ *
+ * A referral that is not on the ledger yet (the reversal overtook its
+ * approval) gets a tombstone, so the late approval stores no credit.
+ *
+ * Runs under the lock of every account the referral credited, so a spend
+ * that already read the balance finishes first.
+ *
+ * @param {string|number} referralId - UpPromote referral ID
+ * @param {Object} params
+ * @param {string} params.reason - denied | refunded | reversed
+ * @returns {Promise<{found:boolean, tombstoned?:boolean, alreadyReversed?:boolean, clawedBack?:number, debt?:number,
+ *   customerEmails?:Array<string>, discountCodes?:Array<string>, subscriptions?:Array<Object>}>}
+ */
+function reverseReferralCredit(referralId, { reason }) {
+  const accounts = store.read((state) =>
+    findReferralRecords(state, referralId).map((rec) => rec.customerEmail),
+  );
+  return withCustomerLocks(accounts, () => reverseReferralCreditLocked(referralId, { reason }));
+}
+
+function reverseReferralCreditLocked(referralId, { reason }) {
+  const result = store.transaction((state) => {
+    const records = findReferralRecords(state, referralId);
+    if (records.length === 0) {
+      if (!state.reversedReferrals[referralId]) {
+        state.reversedReferrals[referralId] = {
+          reason,
+          reversedAt: new Date().toISOString(),
+        };
+      }
+      return { found: false, tombstoned: true };
+    }
+    const open = records.filter((rec) => rec.status !== "reversed");
+    if (open.length === 0) {
+      return { found: true, alreadyReversed: true };
+    }
+
+    const reversal = {
+      found: true,
+      alreadyReversed: false,
+      clawedBack: 0,
+      debt: 0,
+      customerEmails: [],
+      discountCodes: [],
+      subscriptions: [],
+    };
+
+    for (const rec of open) {
+      const before = rec.remainingCommission;
+      const clawedBack = Math.max(0, Math.min(before, rec.commission));
+      rec.remainingCommission = before - rec.commission;
+      rec.status = "reversed";
+      rec.reversalReason = reason;
+      rec.reversedAt = new Date().toISOString();
+
+      const debt = Math.max(0, -rec.remainingCommission);
+      appendEntry(state, {
+        type: "reversal",
+        referralId: rec.referralId,
+        customerEmail: rec.customerEmail,
+        amount: -rec.commission,
+        reason,
+        clawedBack,
+        debt,
+      });
+
+      reversal.clawedBack += clawedBack;
+      reversal.debt += debt;
+      reversal.customerEmails.push(rec.customerEmail);
+      for (const code of rec.discountCodes) {
+        if (!reversal.discountCodes.includes(code)) reversal.discountCodes.push(code);
+      }
+      for (const sub of rec.subscriptions) {
+        if (!sub.removedAt && !sub.billedAt) {
+          reversal.subscriptions.push({ ...sub, referralId: rec.referralId });
+        }
+      }
+    }
+
+    return reversal;
+  });
+
+  if (!result.found) {
+    log("[CreditService] Referral not on ledger yet, tombstone recorded", {
+      referralId,
+      reason,
+    });
+  } else if (result.alreadyReversed) {
+    log("[CreditService] Referral already reversed", { referralId, reason });
+  } else {
+    log("[CreditService] Reversed referral credit", {
+      referralId,
+      reason,
+      customerEmails: result.customerEmails,
+      clawedBack: result.clawedBack,
+      debt: result.debt,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Consume credit from one specific referral (capped by its remaining
+ * commission and by the customer's net balance), queueing the matching
+ * negative adjustment to UpPromote.
+ *
+ * @param {string|number} referralId
+ * @param {number} amountToUse
+ * @param {Object} [context] - recorded on the ledger entry
+ * @returns {{used:number, breakdown:Array<Object>}}
+ */
+function consumeReferralCredit(referralId, amountToUse, context = {}) {
+  const breakdown = store.transaction((state) => {
+    const rec = state.referrals[referralId];
+    if (!rec) return null;
+    return drawDown(state, rec.customerEmail, amountToUse, {
+      type: "consume",
+      reason: "credit-consumed",
+      mirror: true,
+      context,
+      referralIds: [referralId],
+    });
+  });
+
+  if (!breakdown) {
+    log("[CreditService] Referral not on ledger, nothing consumed", { referralId });
+    return { used: 0, breakdown: [] };
+  }
+
+  kickOutbox();
+
+  const used = breakdown.reduce((sum, item) => sum + item.used, 0);
+  log("[CreditService] Consumed referral credit", {
+    referralId,
+    requested: amountToUse,
+    used,
+    breakdown,
+  });
+  return { used, breakdown };
+}
+
+/**
+ * Put spent credit back on a referral inside an open transaction (e.g. the
+ * order it paid for was refunded) and queue the matching positive
+ * adjustment to UpPromote.
+ *
+ * @param {Object} state - transaction draft
+ * @param {string|number} referralId
+ * @param {number} amount - positive
+ * @param {Object} [context] - recorded on the ledger entry; context.reason is the outbox reason
+ * @returns {string|null} outbox item id, if an adjustment was queued
+ */
+function restoreCreditInState(state, referralId, amount, context = {}) {
+  const rec = state.referrals[referralId];
+  if (!rec) return null;
+
+  rec.remainingCommission += amount;
+  appendEntry(state, {
+    type: "restore",
+    referralId: rec.referralId,
+    customerEmail: rec.customerEmail,
+    amount,
+    ...context,
+  });
+
+  if (!rec.upPromoteReferralId) return null;
+  return addToOutbox(state, {
+    referralId: rec.upPromoteReferralId,
+    amount,
+    reason: context.reason || "credit-restored",
+  }).id;
+}
+
+/**
+ * Credit the ledger has already consumed for a discount code, optionally
+ * only from one referral. Lets a retried spend tell a code it paid for
+ * before from a new one.
+ *
+ * @param {string} discountCode
+ * @param {string|number} [referralId]
+ * @returns {number} positive amount
+ */
+function getConsumedForCode(discountCode, referralId = null) {
+  return store.read((state) =>
+    -sumAmounts(
+      state.entries.filter(
+        (e) =>
+          e.type === "consume" &&
+          e.discountCode === discountCode &&
+          (referralId === null || String(e.referralId) === String(referralId)),
+      ),
+    ),
+  );
+}
+
+/**
+ * @returns {Object|null} the ledger record of a referral
+ */
+function getReferralCredit(referralId) {
+  return store.read((state) => state.referrals[referralId] || null);
+}
+
+// -----------------------------------------------------------------------------
+// Manual grants and revocations (admin API)
+// -----------------------------------------------------------------------------
+
+function assertManualChange({ customerEmail, amount, reason, operator }) {
+  if (!customerEmail) throw new Error("customerEmail is required");
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new Error(`Invalid amount: ${amount}`);
+  }
+  if (!reason) throw new Error("reason is required");
+  if (!operator) throw new Error("operator is required");
+}
+
+/**
+ * Give a customer goodwill credit. The grant becomes its own ledger record
+ * (source "manual") so it is spent and reported like referral credit.
+ *
+ * With mirrorToUpPromote, a positive adjustment is queued against
+ * upPromoteReferralId, and later consumption of this grant is mirrored back
+ * to that referral as well.
+ *
+ * @param {Object} params
+ * @param {string} params.customerEmail
+ * @param {number} params.amount - positive
+ * @param {string} params.reason
+ * @param {string} params.operator - identity of the support agent
+ * @param {string|number} [params.upPromoteReferralId]
+ * @param {boolean} [params.mirrorToUpPromote=false]
+ * @returns {Promise<{record:Object, audit:Object, adjustmentId:string|null}>}
+ */
+async function grantCredit({
+  customerEmail,
+  amount,
+  reason,
+  operator,
+  upPromoteReferralId = null,
+  mirrorToUpPromote = false,
+}) {
+  assertManualChange({ customerEmail, amount, reason, operator });
+  if (mirrorToUpPromote && !upPromoteReferralId) {
+    throw new Error("upPromoteReferralId is required to mirror a grant to UpPromote");
+  }
+
+  const referralId = `manual-${crypto.randomUUID()}`;
+  const now = new Date().toISOString();
+
+  // Under the account's lock like every balance change, see withCustomerLock
+  const result = await withCustomerLock(customerEmail, () =>
+    store.transaction((state) => {
+      customerEmail = resolveLedgerEmail(state, customerEmail);
+      const record = {
+        referralId,
+        source: "manual",
+        upPromoteReferralId: mirrorToUpPromote ? upPromoteReferralId : null,
+        affiliateId: null,
+        affiliateEmail: null,
+        customerEmail,
+        commission: amount,
+        remainingCommission: amount,
+        status: "active",
+        discountCodes: [],
+        subscriptions: [],
+        grantedBy: operator,
+        grantReason: reason,
+        createdAt: now,
+      };
+
+      if (!state.customers[customerEmail]) {
+        state.customers[customerEmail] = [];
+      }
+      state.customers[customerEmail].push(referralId);
+      state.referrals[referralId] = record;
+
+      appendEntry(state, {
+        type: "grant",
+        referralId,
+        customerEmail,
+        amount,
+        reason,
+        operator,
+      });
+
+      const adjustmentId = mirrorToUpPromote
+        ? addToOutbox(state, {
+            referralId: upPromoteReferralId,
+            amount,
+            reason: "manual-grant",
+          }).id
+        : null;
+
+      const audit = appendAudit(state, {
+        operator,
+        action: "credit-grant",
+        customerEmail,
+        amount,
+        reason,
+        referralId,
+        upPromoteReferralId: record.upPromoteReferralId,
+        adjustmentId,
+      });
+
+      return { record, audit, adjustmentId };
+    }),
+  );
+
+  if (result.adjustmentId) kickOutbox();
+
+  log("[CreditService] Manual credit granted", {
+    customerEmail,
+    amount,
+    operator,
+    reason,
+    referralId,
+    mirrored: !!result.adjustmentId,
+  });
+
+  return result;
+}
+
+/**
+ * Remove credit issued by mistake. Draws down the customer's balance like a
+ * consumption (never below zero) and records who did it and why.
+ *
+ * @param {Object} params
+ * @param {string} params.customerEmail
+ * @param {number} params.amount - positive, amount to remove
+ * @param {string} params.reason
+ * @param {string} params.operator
+ * @param {boolean} [params.mirrorToUpPromote=false] - queue matching negative adjustments
+ * @returns {Promise<{requested:number, revoked:number, breakdown:Array<Object>, audit:Object}>}
+ */
+async function revokeCredit({ customerEmail, amount, reason, operator, mirrorToUpPromote = false }) {
+  assertManualChange({ customerEmail, amount, reason, operator });
+
+  const result = await withCustomerLock(customerEmail, () =>
+    store.transaction((state) => {
+      customerEmail = resolveLedgerEmail(state, customerEmail);
+      const breakdown =
+        drawDown(state, customerEmail, amount, {
+          type: "revoke",
+          reason: "manual-revoke",
+          mirror: mirrorToUpPromote,
+          context: { reason, operator },
+        }) || [];
+      const revoked = breakdown.reduce((sum, item) => sum + item.used, 0);
+
+      const audit = appendAudit(state, {
+        operator,
+        action: "credit-revoke",
+        customerEmail,
+        amount: revoked,
+        requested: amount,
+        reason,
+        mirrored: mirrorToUpPromote,
+        breakdown,
+      });
+
+      return { requested: amount, revoked, breakdown, audit };
+    }),
+  );
+
+  if (result.breakdown.some((item) => item.adjustmentId)) kickOutbox();
+
+  log("[CreditService] Manual credit revoked", {
+    customerEmail,
+    requested: amount,
+    revoked: result.revoked,
+    operator,
+    reason,
+  });
+
+  return result;
+}
+
+// -----------------------------------------------------------------------------
+// Read-only queries (admin API)
+// -----------------------------------------------------------------------------
+
+function sumAmounts(entries) {
+  return entries.reduce((sum, entry) => sum + entry.amount, 0);
+}
+
+/**
+ * Balance and provenance of a customer's credit: every referral with its
+ * remaining commission, what was consumed from it, and where it was applied.
+ *
+ * @param {string} customerEmail
+ * @returns {Object|null} null when the customer has no referrals
+ */
+function getCustomerCreditSummary(email) {
+  return store.read((state) => {
+    const customerEmail = resolveLedgerEmail(state, email);
+    const ids = state.customers[customerEmail];
+    if (!ids || ids.length === 0) return null;
+
+    const net = netBalance(state, customerEmail);
+    const referrals = ids
+      .map((id) => state.referrals[id])
+      .filter(Boolean)
+      .map((rec) => {
+        const consumptions = state.entries.filter(
+          (e) =>
+            e.type === "consume" &&
+            String(e.referralId) === String(rec.referralId),
+        );
+        return {
+          ...rec,
+          consumed: -sumAmounts(consumptions),
+          consumptions,
+        };
+      });
+
+    return {
+      customerEmail,
+      availableCredit: Math.max(0, net),
+      netBalance: net,
+      debt: Math.max(0, -net),
+      referralCount: referrals.length,
+      referrals,
+    };
+  });
+}
+
+/**
+ * Full history of one referral: the ledger record(s), their ledger entries
+ * and the UpPromote adjustments queued for it.
+ *
+ * @param {string|number} referralId
+ * @returns {Object|null}
+ */
+function getReferralHistory(referralId) {
+  return store.read((state) => {
+    const records = findReferralRecords(state, referralId);
+    if (records.length === 0) return null;
+
+    const recordIds = new Set(records.map((rec) => String(rec.referralId)));
+    const upPromoteIds = new Set(
+      records.map((rec) => String(rec.upPromoteReferralId)).filter((id) => id !== "null"),
+    );
+    const entries = state.entries.filter((e) => recordIds.has(String(e.referralId)));
+
+    return {
+      referral: records[0],
+      // More than one for a split referral (one per recipient)
+      records,
+      consumed: -sumAmounts(entries.filter((e) => e.type === "consume")),
+      entries,
+      adjustments: state.outbox.filter((i) => upPromoteIds.has(String(i.referralId))),
+    };
+  });
+}
+
+/**
+ * @param {string|number} referralId - UpPromote referral ID
+ * @returns {Array<Object>} its ledger records (one per recipient)
+ */
+function getReferralRecords(referralId) {
+  return store.read((state) => findReferralRecords(state, referralId));
+}
+
+/**
+ * Ledger entries, newest first.
+ *
+ * @param {Object} [filter]
+ * @param {string} [filter.customerEmail]
+ * @param {string|number} [filter.referralId]
+ * @param {string} [filter.type] - credit | consume | reversal | ...
+ * @param {number} [filter.limit=100]
+ * @param {number} [filter.offset=0]
+ * @returns {{total:number, entries:Array<Object>}}
+ */
+function listLedgerEntries({ customerEmail, referralId, type, limit = 100, offset = 0 } = {}) {
+  return store.read((state) => {
+    if (customerEmail) customerEmail = resolveLedgerEmail(state, customerEmail);
+    const matching = state.entries
+      .filter(
+        (e) =>
+          (!customerEmail || e.customerEmail === customerEmail) &&
+          (referralId === undefined || String(e.referralId) === String(referralId)) &&
+          (!type || e.type === type),
+      )
+      .reverse();
+
+    return {
+      total: matching.length,
+      entries: matching.slice(offset, offset + limit),
+    };
+  });
+}
+
 module.exports = {
+  appendEntry,
+  restoreCreditInState,
   storeReferralCredit,
   getTotalCreditForCustomer,
+  withCustomerLock,
+  withCustomerLocks,
+  listCustomersWithCredit,
   consumeCreditForCustomer,
+  consumeReferralCredit,
+  getReferralCredit,
+  getConsumedForCode,
+  getReferralRecords,
+  recordDiscountApplication,
+  recordDiscountRemoval,
+  settleSubscriptionApplications,
+  getOpenSubscriptionApplications,
+  reverseReferralCredit,
+  grantCredit,
+  revokeCredit,
+  getCustomerCreditSummary,
+  getReferralHistory,
+  listLedgerEntries,
 };
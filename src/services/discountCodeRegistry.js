@@ -0,0 +1,532 @@
+// src/services/discountCodeRegistry.js
+const config = require("../config");
+const { log } = require("../utils/logger");
+const store = require("../storage");
+const { appendEntry, restoreCreditInState, withCustomerLock } = require("./creditService");
+const { kickOutbox } = require("./adjustmentOutbox");
+const { resolveLedgerEmail } = require("./identityService");
+
+/**
+ * Registry of the Shopify discount codes we mint for affiliate credit.
+ *
+ * Attaching a code to a Seal subscription is not the same as spending it:
+ * the registry records the Shopify orders that actually redeemed each code
+ * (and for how much), so codes that were applied but never used can be
+ * found and followed up.
+ *
+ * Status: "active" -> "redeemed" once an order used it, "expired" /
+ * "orphaned" when the cleanup worker retired it unused, "detached" when
+ * the subscription it was on was cancelled or paused before using it, or
+ * "replaced" for a legacy AFFILIATE-<referralId> code retired in favour of
+ * a customer-restricted one.
+ */
+
+/**
+ * Register a freshly minted code (or merge new referrals/subscriptions into
+ * an existing registration).
+ *
+ * @param {Object} params
+ * @param {string} params.code
+ * @param {number} params.amount - face value of the code
+ * @param {Array<string|number>} params.referralIds - ledger records the credit came from
+ * @param {Array<string|number>} params.subscriptionIds - Seal subscriptions it was attached to
+ * @param {string} params.customerEmail - stored as the ledger account (see identityService)
+ * @param {string} params.trigger - "approval" | "billing" | "reattach" | "scheduled"
+ * @param {string} [params.nodeId] - Shopify discount node ID (set at mint time)
+ * @param {string|null} [params.expiresAt] - Shopify endsAt
+ * @param {string|number} [params.mintedFor] - referral (or billing-<subscriptionId>) it was minted for
+ * @returns {Object} the registry record
+ */
+function registerDiscountCode({
+  code,
+  amount,
+  referralIds = [],
+  subscriptionIds = [],
+  customerEmail,
+  trigger,
+  nodeId,
+  expiresAt,
+  mintedFor,
+}) {
+  const record = store.transaction((state) => {
+    const now = new Date().toISOString();
+    const ledgerEmail = customerEmail ? resolveLedgerEmail(state, customerEmail) : null;
+    const existing = state.discountCodes[code];
+    const rec = existing || {
+      code,
+      amount,
+      referralIds: [],
+      subscriptionIds: [],
+      customerEmail: ledgerEmail,
+      trigger: trigger || null,
+      nodeId: null,
+      expiresAt: null,
+      mintedFor: null,
+      status: "active",
+      redemptions: [],
+      redeemedAmount: 0,
+      createdAt: now,
+    };
+
+    for (const id of referralIds) {
+      if (!rec.referralIds.some((r) => String(r) === String(id))) rec.referralIds.push(id);
+    }
+    for (const id of subscriptionIds) {
+      if (!rec.subscriptionIds.some((s) => String(s) === String(id))) rec.subscriptionIds.push(id);
+    }
+    if (trigger && !rec.trigger) rec.trigger = trigger;
+    if (ledgerEmail && !rec.customerEmail) rec.customerEmail = ledgerEmail;
+    if (existing && amount !== undefined) rec.amount = amount;
+    if (nodeId) rec.nodeId = nodeId;
+    if (mintedFor !== undefined && mintedFor !== null) rec.mintedFor = mintedFor;
+    if (expiresAt !== undefined) rec.expiresAt = expiresAt;
+    rec.updatedAt = now;
+    state.discountCodes[code] = rec;
+    return rec;
+  });
+
+  log("[CodeRegistry] Discount code registered", {
+    code,
+    amount: record.amount,
+    referralIds: record.referralIds,
+    subscriptionIds: record.subscriptionIds,
+  });
+  return record;
+}
+
+/**
+ * @returns {Object|null}
+ */
+function getDiscountCode(code) {
+  return store.read((state) => state.discountCodes[code] || null);
+}
+
+/**
+ * The ledger account a code's credit belongs to: the one it was registered
+ * for, else the account of the first referral that funded it.
+ *
+ * @param {string} code
+ * @returns {string|null}
+ */
+function getCodeAccount(code) {
+  return store.read((state) => {
+    const rec = state.discountCodes[code];
+    if (!rec) return null;
+    return rec.customerEmail || state.referrals[rec.referralIds[0]]?.customerEmail || null;
+  });
+}
+
+/**
+ * The newest active (not redeemed or retired) code minted for a referral,
+ * so a retried approval can reuse it instead of minting another.
+ *
+ * @param {string|number} referralId
+ * @returns {Object|null}
+ */
+function findActiveCodeForReferral(referralId) {
+  return store.read((state) => {
+    const matches = Object.values(state.discountCodes).filter(
+      (rec) =>
+        rec.status === "active" &&
+        rec.redemptions.length === 0 &&
+        (String(rec.mintedFor) === String(referralId) ||
+          (rec.trigger === "approval" &&
+            rec.referralIds.some((id) => String(id) === String(referralId)))),
+    );
+    matches.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+    return matches[0] || null;
+  });
+}
+
+/**
+ * Record that a Shopify order redeemed one of our codes. Idempotent per
+ * order: orders/create and orders/paid for the same order count once.
+ *
+ * Also marks the matching subscription applications on the referrals'
+ * ledger records as redeemed, with the order ID and discounted amount.
+ *
+ * @param {string} code
+ * @param {Object} redemption
+ * @param {string|number} redemption.orderId
+ * @param {number} redemption.amount - discount actually applied on the order
+ * @param {string} [redemption.orderName] - e.g. "#1042"
+ * @param {number|null} [redemption.applicationIndex] - index in the order's discount_applications
+ * @param {number|null} [redemption.orderTotal] - amount the customer paid
+ * @returns {{recorded:boolean, duplicate?:boolean, record?:Object}}
+ */
+function markCodeRedeemed(code, { orderId, amount, orderName, applicationIndex = null, orderTotal = null }) {
+  const result = store.transaction((state) => {
+    const rec = state.discountCodes[code];
+    if (!rec) return { recorded: false };
+
+    if (rec.redemptions.some((r) => String(r.orderId) === String(orderId))) {
+      return { recorded: false, duplicate: true, record: rec };
+    }
+
+    const redeemedAt = new Date().toISOString();
+    rec.redemptions.push({
+      orderId,
+      orderName: orderName || null,
+      amount,
+      applicationIndex,
+      orderTotal,
+      refunds: [],
+      redeemedAt,
+    });
+    rec.redeemedAmount += amount;
+    rec.status = "redeemed";
+    rec.updatedAt = redeemedAt;
+
+    for (const referralId of rec.referralIds) {
+      const ref = state.referrals[referralId];
+      if (!ref) continue;
+      for (const sub of ref.subscriptions) {
+        if (sub.discountCode === code && !sub.redeemedAt) {
+          sub.redeemedAt = redeemedAt;
+          sub.orderId = orderId;
+          sub.billedAt = sub.billedAt || redeemedAt;
+        }
+      }
+      appendEntry(state, {
+        type: "redemption",
+        referralId,
+        customerEmail: ref.customerEmail,
+        amount: 0,
+        discountCode: code,
+        orderId,
+        redeemedAmount: amount,
+      });
+    }
+
+    return { recorded: true, record: rec };
+  });
+
+  if (result.recorded) {
+    log("[CodeRegistry] Discount code redeemed", {
+      code,
+      orderId,
+      amount,
+      codeAmount: result.record.amount,
+    });
+  }
+  return result;
+}
+
+/**
+ * What each referral put into a code, from the ledger's consume entries.
+ *
+ * @param {Object} state - store state or transaction draft
+ * @param {Object} rec - registry record
+ * @returns {Array<{referralId:string|number, contributed:number}>}
+ */
+function codeContributions(state, rec) {
+  return rec.referralIds
+    .map((referralId) => ({
+      referralId,
+      contributed: -state.entries
+        .filter(
+          (e) =>
+            e.type === "consume" &&
+            e.discountCode === rec.code &&
+            String(e.referralId) === String(referralId),
+        )
+        .reduce((sum, e) => sum + e.amount, 0),
+    }))
+    .filter((c) => c.contributed > 0);
+}
+
+/**
+ * Our codes redeemed on a given Shopify order.
+ *
+ * @param {string|number} orderId
+ * @returns {Array<{code:string, redemption:Object}>}
+ */
+function findRedemptionsByOrder(orderId) {
+  return store.read((state) => {
+    const found = [];
+    for (const rec of Object.values(state.discountCodes)) {
+      for (const redemption of rec.redemptions) {
+        if (String(redemption.orderId) === String(orderId)) {
+          found.push({ code: rec.code, redemption });
+        }
+      }
+    }
+    return found;
+  });
+}
+
+/**
+ * Give back the credit behind a refunded redemption. The refunded amount is
+ * split over the referrals that funded the code, in proportion to what each
+ * contributed (from the ledger's consume entries), and each share is
+ * re-credited with a matching positive UpPromote adjustment.
+ *
+ * Idempotent per Shopify refund ID. Runs under the lock of the account the
+ * code belongs to, like every other change to that account's balance.
+ *
+ * @param {Object} params
+ * @param {string} params.code
+ * @param {string|number} params.orderId
+ * @param {string|number} params.refundId
+ * @param {number} params.amount - refunded portion of the discount
+ * @returns {Promise<{restored:number, duplicate?:boolean, breakdown:Array<Object>}>}
+ */
+function restoreRefundedCredit(params) {
+  const customerEmail = getCodeAccount(params.code);
+  if (!customerEmail) return Promise.resolve(restoreRefundedCreditLocked(params));
+  return withCustomerLock(customerEmail, () => restoreRefundedCreditLocked(params));
+}
+
+function restoreRefundedCreditLocked({ code, orderId, refundId, amount }) {
+  const result = store.transaction((state) => {
+    const rec = state.discountCodes[code];
+    const redemption = rec?.redemptions.find(
+      (r) => String(r.orderId) === String(orderId),
+    );
+    if (!redemption) return { restored: 0, breakdown: [] };
+
+    redemption.refunds = redemption.refunds || [];
+    if (redemption.refunds.some((r) => String(r.refundId) === String(refundId))) {
+      return { restored: 0, duplicate: true, breakdown: [] };
+    }
+
+    const alreadyRefunded = redemption.refunds.reduce((sum, r) => sum + r.amount, 0);
+
+    const contributions = codeContributions(state, rec);
+    const totalContributed = contributions.reduce((sum, c) => sum + c.contributed, 0);
+
+    // `amount` is this refund's share only; earlier refunds only lower the
+    // cap, which is what the order used or the ledger spent
+    const refundable = Math.min(redemption.amount, totalContributed) - alreadyRefunded;
+    const toRestore = Math.max(0, Math.min(amount, refundable));
+
+    const breakdown = [];
+    if (toRestore > 0 && totalContributed > 0) {
+      for (const { referralId, contributed } of contributions) {
+        const share = Math.round((toRestore * contributed * 100) / totalContributed) / 100;
+        if (share <= 0) continue;
+        const adjustmentId = restoreCreditInState(state, referralId, share, {
+          reason: "shopify-refund",
+          discountCode: code,
+          orderId,
+          refundId,
+        });
+        breakdown.push({ referralId, restored: share, adjustmentId });
+      }
+    }
+
+    const restored = breakdown.reduce((sum, b) => sum + b.restored, 0);
+    redemption.refunds.push({
+      refundId,
+      amount: restored,
+      refundedAt: new Date().toISOString(),
+    });
+    rec.updatedAt = new Date().toISOString();
+
+    return { restored, breakdown };
+  });
+
+  if (result.breakdown.some((b) => b.adjustmentId)) kickOutbox();
+
+  if (result.restored > 0) {
+    log("[CodeRegistry] Restored credit for refunded redemption", {
+      code,
+      orderId,
+      refundId,
+      restored: result.restored,
+      breakdown: result.breakdown,
+    });
+  }
+  return result;
+}
+
+/**
+ * Whether a code was used: redeemed on a Shopify order, or attached to a
+ * subscription that Seal has since billed (the orders webhook may not be
+ * configured, so Seal's word counts too).
+ */
+function isCodeUsed(state, rec) {
+  if (rec.redemptions.length > 0) return true;
+  return rec.referralIds.some((referralId) =>
+    (state.referrals[referralId]?.subscriptions || []).some(
+      (sub) => sub.discountCode === rec.code && sub.billedAt,
+    ),
+  );
+}
+
+/**
+ * Seal subscriptions a code is still attached to (neither removed nor
+ * billed yet).
+ *
+ * @returns {Array<{referralId:string|number, subscriptionId:string|number}>}
+ */
+function openApplicationsIn(state, rec) {
+  const open = [];
+  for (const referralId of rec.referralIds) {
+    for (const sub of state.referrals[referralId]?.subscriptions || []) {
+      if (sub.discountCode === rec.code && !sub.removedAt && !sub.billedAt) {
+        open.push({ referralId, subscriptionId: sub.subscriptionId });
+      }
+    }
+  }
+  return open;
+}
+
+/**
+ * @param {string} code
+ * @returns {Array<{referralId:string|number, subscriptionId:string|number}>}
+ */
+function getOpenApplications(code) {
+  return store.read((state) =>
+    state.discountCodes[code] ? openApplicationsIn(state, state.discountCodes[code]) : [],
+  );
+}
+
+/**
+ * When a code expires: its Shopify endsAt, or for codes minted before
+ * expiry existed, createdAt plus DISCOUNT_CODE_EXPIRY_DAYS.
+ *
+ * @returns {string|null} ISO timestamp, null if it never expires
+ */
+function effectiveExpiry(rec) {
+  if (rec.expiresAt) return rec.expiresAt;
+  if (!config.discountCodeExpiryDays) return null;
+  return new Date(
+    new Date(rec.createdAt).getTime() + config.discountCodeExpiryDays * 24 * 60 * 60 * 1000,
+  ).toISOString();
+}
+
+/**
+ * Active, unused codes the cleanup worker should retire:
+ * - "expired":  past their expiry
+ * - "orphaned": minted but never attached to a Seal subscription within
+ *   ORPHAN_CODE_GRACE_HOURS (e.g. the Seal call failed after minting)
+ *
+ * Each item lists the subscription applications still open on Seal.
+ *
+ * @param {Date} [now]
+ * @returns {Array<{code:string, nodeId:string|null, reason:string, openApplications:Array<Object>}>}
+ */
+function listCodesDueForCleanup(now = new Date()) {
+  const nowIso = now.toISOString();
+  const orphanCutoff = new Date(
+    now.getTime() - config.orphanCodeGraceHours * 60 * 60 * 1000,
+  ).toISOString();
+
+  return store.read((state) =>
+    Object.values(state.discountCodes)
+      .filter((rec) => rec.status === "active" && !isCodeUsed(state, rec))
+      .map((rec) => {
+        const expiry = effectiveExpiry(rec);
+        let reason = null;
+        if (expiry && expiry <= nowIso) reason = "expired";
+        else if (rec.subscriptionIds.length === 0 && rec.createdAt <= orphanCutoff) {
+          reason = "orphaned";
+        }
+        if (!reason) return null;
+
+        return {
+          code: rec.code,
+          nodeId: rec.nodeId || null,
+          reason,
+          openApplications: openApplicationsIn(state, rec),
+        };
+      })
+      .filter(Boolean),
+  );
+}
+
+/**
+ * Retire an unused code after it was taken out of Shopify and Seal: mark it
+ * expired / orphaned / detached and put the credit that was spent on it back
+ * on the referrals that funded it, with matching positive UpPromote
+ * adjustments.
+ * Reversed referrals get nothing back (their commission is gone).
+ *
+ * Does nothing if the code was used or retired in the meantime.
+ *
+ * @param {string} code
+ * @param {Object} params
+ * @param {string} params.reason - "expired" | "orphaned" | "detached" | "replaced"
+ * @param {string} params.action - what was done in Shopify: "deactivate" | "delete"
+ * @returns {{retired:boolean, returned?:number, breakdown?:Array<Object>}}
+ */
+function retireCode(code, { reason, action }) {
+  const result = store.transaction((state) => {
+    const rec = state.discountCodes[code];
+    if (!rec || rec.status !== "active" || isCodeUsed(state, rec)) {
+      return { retired: false };
+    }
+
+    const breakdown = [];
+    for (const { referralId, contributed } of codeContributions(state, rec)) {
+      if (state.referrals[referralId]?.status !== "active") continue;
+      const adjustmentId = restoreCreditInState(state, referralId, contributed, {
+        reason: `code-${reason}`,
+        discountCode: code,
+      });
+      breakdown.push({ referralId, returned: contributed, adjustmentId });
+    }
+
+    rec.status = reason;
+    rec.retiredAt = new Date().toISOString();
+    rec.retirement = { reason, action };
+    rec.updatedAt = rec.retiredAt;
+
+    return {
+      retired: true,
+      returned: breakdown.reduce((sum, b) => sum + b.returned, 0),
+      breakdown,
+    };
+  });
+
+  if (result.breakdown?.some((b) => b.adjustmentId)) kickOutbox();
+
+  if (result.retired) {
+    log("[CodeRegistry] Discount code retired", {
+      code,
+      reason,
+      action,
+      returned: result.returned,
+      breakdown: result.breakdown,
+    });
+  }
+  return result;
+}
+
+/**
+ * Codes that were attached to a subscription but have no Shopify
+ * redemption after UNREDEEMED_CODE_FLAG_DAYS.
+ *
+ * @param {Object} [params]
+ * @param {number} [params.olderThanDays]
+ * @returns {Array<Object>}
+ */
+function listUnredeemedCodes({ olderThanDays = config.unredeemedCodeFlagDays } = {}) {
+  const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000).toISOString();
+  return store.read((state) =>
+    Object.values(state.discountCodes)
+      .filter(
+        (rec) =>
+          rec.status === "active" &&
+          rec.redemptions.length === 0 &&
+          rec.subscriptionIds.length > 0 &&
+          rec.createdAt <= cutoff,
+      )
+      .map((rec) => ({ ...rec, flag: "applied-not-redeemed" })),
+  );
+}
+
+module.exports = {
+  registerDiscountCode,
+  getDiscountCode,
+  getCodeAccount,
+  findActiveCodeForReferral,
+  markCodeRedeemed,
+  findRedemptionsByOrder,
+  restoreRefundedCredit,
+  listUnredeemedCodes,
+  listCodesDueForCleanup,
+  getOpenApplications,
+  retireCode,
+};
@@ -0,0 +1,205 @@
+// src/services/eventRegistry.js
+const crypto = require("crypto");
+const config = require("../config");
+const { log } = require("../utils/logger");
+const store = require("../storage");
+
+/**
+ * Registry of webhook events we have already processed.
+ *
+ * Providers retry deliveries, so every handler with side effects first
+ * claims the event here. A second delivery of the same event finds the
+ * existing record and is answered with the stored outcome instead of
+ * re-running credit, Shopify and Seal steps.
+ *
+ * A claim that is still "processing" after EVENT_CLAIM_TIMEOUT_MS and has
+ * no job that will complete it (the process died mid-handler) is stale: the
+ * next delivery claims it again instead of being answered as a duplicate.
+ * The same goes for a "failed" event, whose job was dead-lettered.
+ */
+
+function eventKey(topic, eventId) {
+  return `${topic}:${eventId}`;
+}
+
+/**
+ * SHA-256 of the raw payload, used to tell a true retry apart from a
+ * different payload that reuses the same event ID.
+ *
+ * @param {Buffer|string} rawBody
+ * @returns {string}
+ */
+function hashPayload(rawBody) {
+  return crypto.createHash("sha256").update(rawBody || "").digest("hex");
+}
+
+/**
+ * Whether a "processing" claim was abandoned: old enough, and no queued job
+ * (pending, parked, dead-lettered, ...) is going to complete it.
+ */
+function isStaleClaim(state, record) {
+  if (record.status !== "processing") return false;
+  const owned = (state.jobs || []).some(
+    (job) => job.event && eventKey(job.event.topic, job.event.eventId) === record.key,
+  );
+  if (owned) return false;
+  const claimedAt = Date.parse(record.claimedAt || record.receivedAt);
+  return Date.now() - claimedAt >= config.eventClaimTimeoutMs;
+}
+
+/**
+ * Try to claim an event for processing.
+ *
+ * @param {Object} params
+ * @param {string} params.topic - e.g. "uppromote:referral-approved"
+ * @param {string|number} params.eventId - e.g. the UpPromote referral ID
+ * @param {string} params.payloadHash - from hashPayload()
+ * @param {function(Object): *} [params.onClaim] - runs inside the claim's
+ *   transaction with the draft state, e.g. to add the job that completes
+ *   the event; its result is returned as `created`
+ * @returns {{claimed: boolean, record: Object, created?: *}} claimed=false means duplicate
+ */
+function claimEvent({ topic, eventId, payloadHash, onClaim = null }) {
+  const key = eventKey(topic, eventId);
+  const now = new Date().toISOString();
+
+  const result = store.transaction((state) => {
+    const existing = state.processedEvents[key];
+
+    if (existing && existing.status !== "failed" && !isStaleClaim(state, existing)) {
+      existing.deliveries += 1;
+      existing.lastDeliveryAt = now;
+      if (existing.payloadHash !== payloadHash) {
+        existing.payloadChanged = true;
+      }
+      return { claimed: false, record: existing };
+    }
+
+    const record = {
+      key,
+      topic,
+      eventId,
+      payloadHash,
+      status: "processing",
+      outcome: null,
+      deliveries: existing ? existing.deliveries + 1 : 1,
+      receivedAt: existing ? existing.receivedAt : now,
+      claimedAt: now,
+      reclaimed: existing ? (existing.reclaimed || 0) + 1 : 0,
+      lastDeliveryAt: now,
+      completedAt: null,
+    };
+    state.processedEvents[key] = record;
+    const created = onClaim ? onClaim(state) : undefined;
+    return {
+      claimed: true,
+      record,
+      created,
+      stale: !!existing && existing.status !== "failed",
+      failedBefore: existing?.status === "failed",
+    };
+  });
+
+  if (result.failedBefore) {
+    log("[EventRegistry] Failed event claimed again", {
+      key,
+      reclaimed: result.record.reclaimed,
+    });
+  } else if (result.stale) {
+    log("[EventRegistry] Stale claim taken over", {
+      key,
+      reclaimed: result.record.reclaimed,
+    });
+  } else if (!result.claimed) {
+    log("[EventRegistry] Duplicate delivery detected", {
+      key,
+      status: result.record.status,
+      deliveries: result.record.deliveries,
+      samePayload: result.record.payloadHash === payloadHash,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Mark a claimed event as done and remember the response we gave, so
+ * duplicates can be answered with the same outcome.
+ */
+function completeEvent(topic, eventId, outcome) {
+  const key = eventKey(topic, eventId);
+  store.transaction((state) => {
+    const record = state.processedEvents[key];
+    if (!record) return;
+    record.status = "completed";
+    record.outcome = outcome;
+    record.completedAt = new Date().toISOString();
+  });
+  log("[EventRegistry] Event completed", { key });
+}
+
+/**
+ * Mark a claimed event as failed after its job was dead-lettered. The next
+ * delivery claims it again (see claimEvent); until then an operator may
+ * retry the job instead (see jobQueue.retryJob).
+ */
+function failEvent(topic, eventId, lastError) {
+  const key = eventKey(topic, eventId);
+  store.transaction((state) => {
+    const record = state.processedEvents[key];
+    if (!record || record.status !== "processing") return;
+    record.status = "failed";
+    record.lastError = lastError || null;
+    record.failedAt = new Date().toISOString();
+  });
+  log("[EventRegistry] Event failed", { key });
+}
+
+/**
+ * Inside a storage transaction: put a failed event back to "processing"
+ * because an operator re-queued its job.
+ *
+ * @param {Object} state - transaction draft (see storage.transaction)
+ * @returns {boolean} false if the event was completed in the meantime
+ */
+function reopenEvent(state, topic, eventId) {
+  const record = state.processedEvents[eventKey(topic, eventId)];
+  if (!record) return true;
+  if (record.status === "completed") return false;
+  if (record.status === "failed") {
+    record.status = "processing";
+    record.claimedAt = new Date().toISOString();
+    record.failedAt = null;
+  }
+  return true;
+}
+
+/**
+ * Drop the claim after an unexpected failure so the provider's next retry
+ * processes the event again.
+ */
+function releaseEvent(topic, eventId) {
+  const key = eventKey(topic, eventId);
+  store.transaction((state) => {
+    delete state.processedEvents[key];
+  });
+  log("[EventRegistry] Event claim released", { key });
+}
+
+/**
+ * @returns {Object|null} the stored record for an event, if any
+ */
+function getEvent(topic, eventId) {
+  const key = eventKey(topic, eventId);
+  return store.read((state) => state.processedEvents[key] || null);
+}
+
+module.exports = {
+  hashPayload,
+  claimEvent,
+  completeEvent,
+  failEvent,
+  reopenEvent,
+  releaseEvent,
+  getEvent,
+};
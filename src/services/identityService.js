@@ -0,0 +1,364 @@
+// src/services/identityService.js
+const config = require("../config");
+const { log } = require("../utils/logger");
+const { normalizeEmail } = require("../utils/email");
+const { appendAudit } = require("./auditLog");
+const store = require("../storage");
+
+/**
+ * Identity mapping between UpPromote affiliates and the emails they
+ * subscribe with in Seal / Shopify.
+ *
+ * Credit lives on the ledger under a normalized email (see utils/email.js).
+ * Affiliates often subscribe with another address than their UpPromote
+ * account, so operators can link an affiliate ID to one or more subscriber
+ * emails. A linked email then resolves to the affiliate's ledger account,
+ * and the affiliate's Seal subscriptions are looked up under every linked
+ * email.
+ *
+ * resolveReferralIdentity() is the one place that decides, from an UpPromote
+ * payload and the CREDIT_ATTRIBUTION policy, whose account(s) a referral's
+ * credit goes to.
+ */
+
+// state.identityLinks: affiliateId -> {
+//   affiliateId, affiliateEmail (normalized ledger key),
+//   emails: [{ email, normalized, linkedBy, note, linkedAt }], createdAt, updatedAt
+// }
+
+/**
+ * Ledger account of an affiliate: the email stored on the link, or the one
+ * UpPromote sent with the affiliate's referrals.
+ */
+function affiliateLedgerEmail(state, link) {
+  if (link.affiliateEmail) return link.affiliateEmail;
+  const referral = Object.values(state.referrals).find(
+    (rec) => String(rec.affiliateId) === String(link.affiliateId) && rec.affiliateEmail,
+  );
+  return referral ? normalizeEmail(referral.affiliateEmail) : null;
+}
+
+function findLinkByEmail(state, normalized) {
+  return (
+    Object.values(state.identityLinks).find((link) =>
+      link.emails.some((e) => e.normalized === normalized),
+    ) || null
+  );
+}
+
+/**
+ * Ledger key for an email: its normalized form, or the affiliate's account
+ * when the email is linked to an affiliate.
+ *
+ * @param {Object} state - store state or transaction draft
+ * @param {string} email
+ * @returns {string|null}
+ */
+function resolveLedgerEmail(state, email) {
+  const normalized = normalizeEmail(email);
+  if (!normalized) return null;
+
+  const link = findLinkByEmail(state, normalized);
+  return (link && affiliateLedgerEmail(state, link)) || normalized;
+}
+
+/**
+ * Emails to look up Seal subscriptions under for a ledger account: the
+ * address(es) we were given plus every email linked to the same affiliate.
+ * Original spelling is kept because Seal's search is literal; duplicates
+ * (same normalized address) are dropped.
+ *
+ * @param {Object} state
+ * @param {Array<string>} emails - known addresses of the account
+ * @param {string|number} [affiliateId]
+ * @returns {Array<string>}
+ */
+function subscriberEmailsIn(state, emails, affiliateId) {
+  const ledgerKeys = new Set(emails.map((e) => resolveLedgerEmail(state, e)).filter(Boolean));
+  const candidates = [...emails];
+
+  for (const link of Object.values(state.identityLinks)) {
+    const linked =
+      (affiliateId && String(link.affiliateId) === String(affiliateId)) ||
+      ledgerKeys.has(affiliateLedgerEmail(state, link));
+    if (linked) candidates.push(...link.emails.map((e) => e.email));
+  }
+
+  const seen = new Set();
+  return candidates.filter((email) => {
+    const normalized = normalizeEmail(email);
+    if (!normalized || seen.has(normalized)) return false;
+    seen.add(normalized);
+    return true;
+  });
+}
+
+/**
+ * @param {string} email
+ * @returns {string|null} ledger key (see resolveLedgerEmail)
+ */
+function getLedgerEmail(email) {
+  return store.read((state) => resolveLedgerEmail(state, email));
+}
+
+/**
+ * @param {string} email - an address of the account (e.g. Seal's customer email)
+ * @returns {Array<string>} every address its subscriptions may be under
+ */
+function getSubscriberEmails(email) {
+  return store.read((state) => subscriberEmailsIn(state, [email]));
+}
+
+/**
+ * Email of each party in an UpPromote referral payload.
+ */
+function partyEmails(payload) {
+  const customerFields = [
+    ["customer_email", payload.customer_email],
+    ["customer.email", payload.customer?.email],
+    ["email", payload.email],
+  ];
+  const [customerSource, customerEmail] =
+    customerFields.find(([, value]) => !!value) || [null, null];
+
+  return {
+    affiliate: payload.affiliate?.email
+      ? { email: payload.affiliate.email, source: "affiliate.email" }
+      : null,
+    customer: customerEmail ? { email: customerEmail, source: customerSource } : null,
+  };
+}
+
+/**
+ * Who an UpPromote referral's credit belongs to, under CREDIT_ATTRIBUTION:
+ * - "affiliate": the affiliate's account
+ * - "customer":  the referred customer's account
+ * - "split":     both, CREDIT_ATTRIBUTION_AFFILIATE_PERCENT to the affiliate
+ *
+ * Customer email priority: customer_email > customer.email > email.
+ * When the chosen party has no email and CREDIT_ATTRIBUTION_FALLBACK is on,
+ * the other party gets its share. If both parties resolve to the same
+ * account, it gets the whole amount.
+ *
+ * @param {Object} payload - UpPromote referral payload
+ * @returns {{policy:string, recipients:Array<{role:string, share:number, email:string,
+ *   source:string, fallback:boolean, subscriberEmails:Array<string>}>,
+ *   affiliateId:string|number|null, affiliateEmail:string|null, customerEmail:string|null}}
+ *   recipient email is the ledger key; subscriberEmails are for Seal lookups;
+ *   shares add up to 1
+ */
+function resolveReferralIdentity(payload) {
+  const policy = config.creditAttribution;
+  const affiliateId = payload.affiliate?.id || null;
+  const parties = partyEmails(payload);
+
+  let wanted;
+  if (policy === "split") {
+    const affiliateShare = config.creditAttributionAffiliatePercent / 100;
+    wanted = [
+      { role: "affiliate", share: affiliateShare },
+      { role: "customer", share: 1 - affiliateShare },
+    ].filter((w) => w.share > 0);
+  } else {
+    wanted = [{ role: policy, share: 1 }];
+  }
+
+  // Parties without an email: hand their share to the other one, or drop it
+  const planned = [];
+  for (const { role, share } of wanted) {
+    const other = role === "affiliate" ? "customer" : "affiliate";
+    if (parties[role]) {
+      planned.push({ role, share, fallback: false });
+    } else if (config.creditAttributionFallback && parties[other]) {
+      planned.push({ role: other, share, fallback: true });
+    }
+  }
+
+  const recipients = store.read((state) => {
+    const byEmail = new Map();
+    for (const { role, share, fallback } of planned) {
+      const party = parties[role];
+      const email = resolveLedgerEmail(state, party.email);
+      const existing = byEmail.get(email);
+      if (existing) {
+        // Same account on both sides (or the fallback doubled up)
+        existing.share += share;
+        continue;
+      }
+      byEmail.set(email, {
+        role,
+        share,
+        email,
+        source: party.source,
+        fallback,
+        subscriberEmails: subscriberEmailsIn(
+          state,
+          [party.email],
+          role === "affiliate" ? affiliateId : null,
+        ),
+      });
+    }
+    return [...byEmail.values()];
+  });
+
+  const result = {
+    policy,
+    recipients,
+    affiliateId,
+    affiliateEmail: parties.affiliate?.email || null,
+    customerEmail: parties.customer?.email || null,
+  };
+
+  log("[Identity] Resolved referral identity", { referralId: payload.id, ...result });
+  return result;
+}
+
+// -----------------------------------------------------------------------------
+// Admin-managed links
+// -----------------------------------------------------------------------------
+
+/**
+ * Move every referral of ledger account `from` onto account `to`.
+ */
+function mergeLedgerAccounts(state, from, to) {
+  if (!from || from === to || !state.customers[from]) return [];
+
+  const moved = state.customers[from];
+  state.customers[to] = state.customers[to] || [];
+  for (const id of moved) {
+    if (!state.customers[to].some((existing) => String(existing) === String(id))) {
+      state.customers[to].push(id);
+    }
+    if (state.referrals[id]) state.referrals[id].customerEmail = to;
+  }
+  delete state.customers[from];
+  return moved;
+}
+
+/**
+ * Link a subscriber email to an affiliate. Credit already on the ledger
+ * under that email moves to the affiliate's account.
+ *
+ * @param {Object} params
+ * @param {string|number} params.affiliateId - UpPromote affiliate ID
+ * @param {string} params.email - email the affiliate subscribes with
+ * @param {string} [params.affiliateEmail] - the affiliate's UpPromote email; required
+ *   until a referral of this affiliate is on the ledger
+ * @param {string} params.operator
+ * @param {string} [params.note]
+ * @returns {{link:Object, movedReferralIds:Array<string|number>, audit:Object}}
+ */
+function linkEmail({ affiliateId, email, affiliateEmail, operator, note }) {
+  const normalized = normalizeEmail(email);
+  if (!affiliateId) throw new Error("affiliateId is required");
+  if (!normalized) throw new Error("email is required");
+  if (!operator) throw new Error("operator is required");
+
+  const result = store.transaction((state) => {
+    const other = findLinkByEmail(state, normalized);
+    if (other && String(other.affiliateId) !== String(affiliateId)) {
+      throw new Error(`${email} is already linked to affiliate ${other.affiliateId}`);
+    }
+
+    const now = new Date().toISOString();
+    const link = state.identityLinks[affiliateId] || {
+      affiliateId,
+      affiliateEmail: null,
+      emails: [],
+      createdAt: now,
+    };
+    if (affiliateEmail) link.affiliateEmail = normalizeEmail(affiliateEmail);
+
+    const ledgerEmail = affiliateLedgerEmail(state, link);
+    if (!ledgerEmail) {
+      throw new Error("affiliateEmail is required for an affiliate with no referrals yet");
+    }
+    link.affiliateEmail = ledgerEmail;
+
+    if (!link.emails.some((e) => e.normalized === normalized)) {
+      link.emails.push({
+        email: email.trim(),
+        normalized,
+        linkedBy: operator,
+        note: note || null,
+        linkedAt: now,
+      });
+    }
+    link.updatedAt = now;
+    state.identityLinks[affiliateId] = link;
+
+    const movedReferralIds = mergeLedgerAccounts(state, normalized, ledgerEmail);
+    const audit = appendAudit(state, {
+      operator,
+      action: "identity-link",
+      customerEmail: ledgerEmail,
+      affiliateId,
+      email: normalized,
+      reason: note || null,
+      movedReferralIds,
+    });
+
+    return { link, movedReferralIds, audit };
+  });
+
+  log("[Identity] Email linked to affiliate", {
+    affiliateId,
+    email: normalized,
+    ledgerEmail: result.link.affiliateEmail,
+    movedReferralIds: result.movedReferralIds,
+    operator,
+  });
+  return result;
+}
+
+/**
+ * Remove a linked email. Credit that was moved onto the affiliate's account
+ * stays there.
+ *
+ * @returns {{link:Object, audit:Object}|null} null if the email was not linked
+ */
+function unlinkEmail({ affiliateId, email, operator, reason }) {
+  const normalized = normalizeEmail(email);
+  if (!operator) throw new Error("operator is required");
+
+  const result = store.transaction((state) => {
+    const link = state.identityLinks[affiliateId];
+    if (!link || !link.emails.some((e) => e.normalized === normalized)) return null;
+
+    link.emails = link.emails.filter((e) => e.normalized !== normalized);
+    link.updatedAt = new Date().toISOString();
+
+    const audit = appendAudit(state, {
+      operator,
+      action: "identity-unlink",
+      customerEmail: link.affiliateEmail,
+      affiliateId,
+      email: normalized,
+      reason: reason || null,
+    });
+    return { link, audit };
+  });
+
+  if (result) {
+    log("[Identity] Email unlinked from affiliate", { affiliateId, email: normalized, operator });
+  }
+  return result;
+}
+
+/**
+ * @returns {Object|null}
+ */
+function getIdentityLink(affiliateId) {
+  return store.read((state) => state.identityLinks[affiliateId] || null);
+}
+
+module.exports = {
+  resolveLedgerEmail,
+  subscriberEmailsIn,
+  getLedgerEmail,
+  getSubscriberEmails,
+  resolveReferralIdentity,
+  linkEmail,
+  unlinkEmail,
+  getIdentityLink,
+};
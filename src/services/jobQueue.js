@@ -0,0 +1,409 @@
+// src/services/jobQueue.js
+const crypto = require("crypto");
+const config = require("../config");
+const { log, error } = require("../utils/logger");
+const { isProviderAvailable, onCircuitClose } = require("../utils/circuitBreaker");
+const { completeEvent, failEvent, reopenEvent } = require("./eventRegistry");
+const store = require("../storage");
+
+/**
+ * Durable job queue for webhook processing.
+ *
+ * Webhook routes only verify, persist a job and answer; the Seal, Shopify
+ * and UpPromote calls run here, after the provider got its response. Jobs
+ * live in the same store as the ledger, so a restart picks up where the
+ * process stopped.
+ *
+ * A handler splits its work into named steps (see `step` below). The result
+ * of every completed step is stored on the job, so a retry skips what
+ * already succeeded and only re-runs the step that failed. Failed jobs are
+ * retried with exponential backoff; jobs that keep failing are
+ * dead-lettered and wait for an operator to retry them. Their webhook event
+ * is marked failed, so the provider's next delivery runs it again as well.
+ *
+ * A job that hits an open circuit (the provider is down, see
+ * circuitBreaker.js) is parked instead: no attempt is counted, and it runs
+ * again from the failed step once the provider's circuit closes.
+ *
+ * Job status: pending -> running -> completed | pending (retry) | parked | dead
+ */
+
+const handlers = {};
+
+let workerTimer = null;
+let draining = null;
+let rerunRequested = false;
+
+/**
+ * Register the handler for a job type.
+ *
+ * The handler receives the job payload and `{ step, job }`, where
+ * `step(name, fn)` runs `fn` once: its (JSON) result is stored and returned
+ * as-is on later attempts. A handler that throws is retried.
+ *
+ * @param {string} type - e.g. "uppromote:referral-approved"
+ * @param {function(Object, {step:Function, job:Object}): Promise<Object>} handler
+ */
+function registerJobHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+/**
+ * Add a job inside an existing storage transaction (e.g. the one claiming
+ * its webhook event). Call kickJobs() once the transaction is done.
+ *
+ * @param {Object} state - transaction draft (see storage.transaction)
+ * @param {Object} params
+ * @param {string} params.type - registered job type
+ * @param {Object} params.payload - webhook payload
+ * @param {{topic:string, eventId:string|number}} [params.event] - claimed
+ *   registry event to complete with the job's outcome
+ * @returns {Object} the job
+ */
+function addJob(state, { type, payload, event = null }) {
+  const now = new Date().toISOString();
+  const item = {
+    id: crypto.randomUUID(),
+    type,
+    payload,
+    event,
+    status: "pending",
+    // step name -> { status, attempts, result, lastError, completedAt }
+    steps: {},
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    // provider whose open circuit the job waits for
+    parkedOn: null,
+    outcome: null,
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null,
+  };
+  state.jobs.push(item);
+  return item;
+}
+
+/**
+ * Persist a job in its own transaction and schedule it.
+ *
+ * @param {Object} params - see addJob()
+ * @returns {Object} the job
+ */
+function enqueueJob({ type, payload, event = null }) {
+  const job = store.transaction((state) => addJob(state, { type, payload, event }));
+
+  log("[JobQueue] Job enqueued", { id: job.id, type, event });
+  kickJobs();
+  return job;
+}
+
+function backoffDelay(attempts) {
+  const delay = config.jobBaseDelayMs * 2 ** Math.max(0, attempts - 1);
+  return Math.min(delay, config.jobMaxDelayMs);
+}
+
+function updateJob(id, fn) {
+  return store.transaction((state) => {
+    const job = state.jobs.find((j) => j.id === id);
+    if (!job) return null;
+    fn(job);
+    job.updatedAt = new Date().toISOString();
+    return job;
+  });
+}
+
+/**
+ * Step runner for one job attempt.
+ */
+function stepRunner(jobId) {
+  return async (name, fn) => {
+    const done = store.read((state) => {
+      const job = state.jobs.find((j) => j.id === jobId);
+      return job?.steps[name]?.status === "completed" ? job.steps[name] : null;
+    });
+    if (done) return done.result;
+
+    try {
+      const result = await fn();
+      updateJob(jobId, (job) => {
+        const previous = job.steps[name] || { attempts: 0 };
+        job.steps[name] = {
+          status: "completed",
+          attempts: previous.attempts + 1,
+          result: result === undefined ? null : result,
+          lastError: null,
+          completedAt: new Date().toISOString(),
+        };
+      });
+      return result;
+    } catch (err) {
+      updateJob(jobId, (job) => {
+        const previous = job.steps[name] || { attempts: 0 };
+        job.steps[name] = {
+          status: "failed",
+          attempts: previous.attempts + 1,
+          result: null,
+          lastError: err.response?.data?.message || err.message,
+          completedAt: null,
+        };
+      });
+      err.jobStep = name;
+      throw err;
+    }
+  };
+}
+
+async function runJob(item) {
+  const handler = handlers[item.type];
+  updateJob(item.id, (job) => {
+    job.status = "running";
+  });
+
+  try {
+    if (!handler) throw new Error(`No handler registered for job type "${item.type}"`);
+
+    const outcome = await handler(item.payload, { step: stepRunner(item.id), job: item });
+
+    updateJob(item.id, (job) => {
+      job.status = "completed";
+      job.attempts += 1;
+      job.lastError = null;
+      job.parkedOn = null;
+      job.outcome = outcome === undefined ? null : outcome;
+      job.nextAttemptAt = null;
+      job.completedAt = new Date().toISOString();
+    });
+    if (item.event) {
+      completeEvent(item.event.topic, item.event.eventId, outcome);
+    }
+
+    log("[JobQueue] Job completed", { id: item.id, type: item.type });
+  } catch (err) {
+    if (err.circuitOpen) {
+      parkJob(item, err);
+      return;
+    }
+
+    const updated = updateJob(item.id, (job) => {
+      job.attempts += 1;
+      job.parkedOn = null;
+      job.lastError = err.response?.data?.message || err.message;
+      job.failedStep = err.jobStep || null;
+
+      if (!handler || job.attempts >= config.jobMaxAttempts) {
+        job.status = "dead";
+        job.nextAttemptAt = null;
+      } else {
+        job.status = "pending";
+        job.nextAttemptAt = new Date(Date.now() + backoffDelay(job.attempts)).toISOString();
+      }
+    });
+
+    if (updated?.status === "dead") {
+      error("[JobQueue] Job dead-lettered", {
+        id: item.id,
+        type: item.type,
+        attempts: updated.attempts,
+        failedStep: updated.failedStep,
+        lastError: updated.lastError,
+      });
+      if (item.event) {
+        failEvent(item.event.topic, item.event.eventId, updated.lastError);
+      }
+    } else if (updated) {
+      log("[JobQueue] Job failed, will retry", {
+        id: item.id,
+        type: item.type,
+        attempts: updated.attempts,
+        failedStep: updated.failedStep,
+        nextAttemptAt: updated.nextAttemptAt,
+        error: updated.lastError,
+      });
+    }
+  }
+}
+
+/**
+ * Park a job until `err.provider`'s circuit closes. Completed steps are kept.
+ */
+function parkJob(item, err) {
+  updateJob(item.id, (job) => {
+    job.status = "parked";
+    job.parkedOn = err.provider;
+    job.lastError = err.message;
+    job.failedStep = err.jobStep || null;
+    job.nextAttemptAt = null;
+  });
+  log("[JobQueue] Job parked, provider unavailable", {
+    id: item.id,
+    type: item.type,
+    provider: err.provider,
+    failedStep: err.jobStep || null,
+  });
+}
+
+function isDue(job, now) {
+  if (job.status === "parked") return isProviderAvailable(job.parkedOn);
+  return job.status === "pending" && job.nextAttemptAt <= now;
+}
+
+/**
+ * Run every pending job that is due, and every parked job whose provider is
+ * available again, one at a time in creation order.
+ *
+ * @returns {Promise<number>} number of jobs attempted
+ */
+async function processJobs() {
+  if (draining) {
+    // Jobs enqueued during a drain are picked up by one more pass
+    rerunRequested = true;
+    return draining;
+  }
+
+  draining = (async () => {
+    let attempted = 0;
+    do {
+      rerunRequested = false;
+      const now = new Date().toISOString();
+      const due = store.read((state) =>
+        state.jobs.filter((j) => isDue(j, now)),
+      );
+
+      for (const job of due) {
+        // An earlier job may have found the provider down in the meantime
+        if (job.status === "parked" && !isProviderAvailable(job.parkedOn)) continue;
+        await runJob(job);
+      }
+      attempted += due.length;
+    } while (rerunRequested);
+    return attempted;
+  })();
+
+  try {
+    return await draining;
+  } finally {
+    draining = null;
+  }
+}
+
+/**
+ * Run due jobs right away without waiting for the next poll.
+ */
+function kickJobs() {
+  setImmediate(() => {
+    processJobs().catch((err) =>
+      error("[JobQueue] Error while processing jobs", { message: err.message }),
+    );
+  });
+}
+
+function startJobWorker() {
+  if (workerTimer) return;
+
+  // A job still "running" was interrupted by a restart; its completed
+  // steps are kept, so it simply runs again
+  const resumed = store.transaction((state) => {
+    const now = new Date().toISOString();
+    const running = state.jobs.filter((j) => j.status === "running");
+    for (const job of running) {
+      job.status = "pending";
+      job.nextAttemptAt = now;
+      job.updatedAt = now;
+    }
+    return running.length;
+  });
+
+  workerTimer = setInterval(kickJobs, config.jobPollIntervalMs);
+  workerTimer.unref();
+  log("[JobQueue] Worker started", {
+    pollIntervalMs: config.jobPollIntervalMs,
+    maxAttempts: config.jobMaxAttempts,
+    resumed,
+  });
+  kickJobs();
+}
+
+function stopJobWorker() {
+  if (!workerTimer) return;
+  clearInterval(workerTimer);
+  workerTimer = null;
+  log("[JobQueue] Worker stopped");
+}
+
+/**
+ * @param {Object} [filter]
+ * @param {string} [filter.status] - pending | running | completed | parked | dead
+ * @param {string} [filter.type]
+ * @returns {Array<Object>}
+ */
+function listJobs({ status, type } = {}) {
+  return store.read((state) =>
+    state.jobs.filter((j) => (!status || j.status === status) && (!type || j.type === type)),
+  );
+}
+
+/**
+ * @returns {Object|null}
+ */
+function getJob(id) {
+  return store.read((state) => state.jobs.find((j) => j.id === id) || null);
+}
+
+function sameEvent(a, b) {
+  return !!a && !!b && a.topic === b.topic && String(a.eventId) === String(b.eventId);
+}
+
+/**
+ * Put a dead-lettered job back in the queue with a fresh attempt budget.
+ * Completed steps are kept and not run again.
+ *
+ * A job whose event was delivered again after it was dead-lettered has been
+ * superseded by the job of that delivery and is not re-queued: the error
+ * has `superseded = true`.
+ *
+ * @returns {Object|null} the job, or null if it is not dead-lettered
+ */
+function retryJob(id) {
+  const job = store.transaction((state) => {
+    const rec = state.jobs.find((j) => j.id === id);
+    if (!rec || rec.status !== "dead") return null;
+    if (rec.event) {
+      const successor = state.jobs.some(
+        (j) => j.id !== rec.id && j.status !== "dead" && sameEvent(j.event, rec.event),
+      );
+      if (successor || !reopenEvent(state, rec.event.topic, rec.event.eventId)) {
+        const err = new Error("The job's event was delivered again and processed by another job");
+        err.superseded = true;
+        throw err;
+      }
+    }
+    rec.status = "pending";
+    rec.attempts = 0;
+    rec.nextAttemptAt = new Date().toISOString();
+    rec.updatedAt = rec.nextAttemptAt;
+    return rec;
+  });
+
+  if (job) {
+    log("[JobQueue] Dead-lettered job re-queued", { id, type: job.type });
+    kickJobs();
+  }
+  return job;
+}
+
+// Parked jobs resume as soon as their provider is back
+onCircuitClose(() => kickJobs());
+
+module.exports = {
+  registerJobHandler,
+  addJob,
+  enqueueJob,
+  processJobs,
+  kickJobs,
+  startJobWorker,
+  stopJobWorker,
+  listJobs,
+  getJob,
+  retryJob,
+};
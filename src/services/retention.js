@@ -0,0 +1,105 @@
+// src/services/retention.js
+const config = require("../config");
+const { log, error } = require("../utils/logger");
+const store = require("../storage");
+
+/**
+ * Retention sweep for the bookkeeping that only grows: every webhook leaves
+ * a processed event and a job behind, and every adjustment an outbox item.
+ * Once finished they are only needed to answer late duplicates and for
+ * troubleshooting, so RETENTION_DAYS after they finished they are pruned.
+ *
+ * Anything still open (pending, running, parked, processing) or
+ * dead-lettered (dead jobs, failed events) is kept regardless of age, as are the ledger entries,
+ * referrals, discount codes and the audit log.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let workerTimer = null;
+
+function finishedBefore(timestamp, cutoff) {
+  return !!timestamp && Date.parse(timestamp) < cutoff;
+}
+
+/**
+ * Remove completed jobs and events, and delivered or resolved outbox items,
+ * that finished more than RETENTION_DAYS before `now`.
+ *
+ * @param {Date} [now]
+ * @returns {{jobs:number, events:number, outbox:number}} how many were removed
+ */
+function pruneFinishedRecords(now = new Date()) {
+  if (!config.retentionDays) return { jobs: 0, events: 0, outbox: 0 };
+  const cutoff = now.getTime() - config.retentionDays * DAY_MS;
+
+  const removed = store.transaction((state) => {
+    const jobs = state.jobs.length;
+    state.jobs = state.jobs.filter(
+      (job) => !(job.status === "completed" && finishedBefore(job.completedAt, cutoff)),
+    );
+
+    let events = 0;
+    for (const [key, record] of Object.entries(state.processedEvents)) {
+      if (record.status === "completed" && finishedBefore(record.completedAt, cutoff)) {
+        delete state.processedEvents[key];
+        events += 1;
+      }
+    }
+
+    const outbox = state.outbox.length;
+    state.outbox = state.outbox.filter(
+      (item) =>
+        !(
+          (item.status === "delivered" && finishedBefore(item.deliveredAt, cutoff)) ||
+          (item.status === "resolved" && finishedBefore(item.resolution?.resolvedAt, cutoff))
+        ),
+    );
+
+    return {
+      jobs: jobs - state.jobs.length,
+      events,
+      outbox: outbox - state.outbox.length,
+    };
+  });
+
+  if (removed.jobs || removed.events || removed.outbox) {
+    log("[Retention] Pruned finished records", {
+      retentionDays: config.retentionDays,
+      ...removed,
+    });
+  }
+  return removed;
+}
+
+function runSweep() {
+  try {
+    pruneFinishedRecords();
+  } catch (err) {
+    error("[Retention] Error during retention sweep", { message: err.message });
+  }
+}
+
+function startRetentionWorker() {
+  if (workerTimer || !config.retentionDays || !config.retentionIntervalMs) return;
+  workerTimer = setInterval(runSweep, config.retentionIntervalMs);
+  workerTimer.unref();
+  log("[Retention] Worker started", {
+    intervalMs: config.retentionIntervalMs,
+    retentionDays: config.retentionDays,
+  });
+  runSweep();
+}
+
+function stopRetentionWorker() {
+  if (!workerTimer) return;
+  clearInterval(workerTimer);
+  workerTimer = null;
+  log("[Retention] Worker stopped");
+}
+
+module.exports = {
+  pruneFinishedRecords,
+  startRetentionWorker,
+  stopRetentionWorker,
+};
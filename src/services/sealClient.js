@@ -1,7 +1,9 @@
-const axios = require("axios");
 const config = require("../config");
 const { log, error } = require("../utils/logger");
+const { createHttpClient } = require("../utils/httpClient");
 const { getOrCreateDiscountCode } = require("./shopifyClient");
+const { planAllocations } = require("./subscriptionSelection");
+const { sameEmail } = require("../utils/email");
 
 /**
  * Helper function to pick the first active subscription ID from Seal API response.
@@ -50,7 +52,8 @@ function getAllActiveSubscriptionIds(subscriptionsResponse) {
     .filter(Boolean);
 }
 
-const sealApi = axios.create({
+const sealApi = createHttpClient({
+  provider: "seal",
   baseURL: "https://app.sealsubscriptions.com/shopify/merchant/api",
   headers: {
     Accept: "application/json",
@@ -60,11 +63,60 @@ const sealApi = axios.create({
   timeout: 20000,
 });
 
+/**
+ * Email on a Seal subscription (Seal has used a few field names).
+ */
+function subscriptionEmail(sub) {
+  return sub?.email || sub?.customer_email || sub?.customer?.email || null;
+}
+
+/**
+ * Read every page of GET /subscriptions?query=<query>.
+ * Stops at an empty page, the last page Seal reports, or SEAL_MAX_PAGES.
+ *
+ * @param {string} query
+ * @returns {Promise<Array<Object>>}
+ */
+async function fetchAllSubscriptionPages(query) {
+  const all = [];
+  const seen = new Set();
+
+  for (let page = 1; page <= config.sealMaxPages; page++) {
+    const res = await sealApi.get("/subscriptions", {
+      params: { query, page },
+    });
+    const payload = res?.data?.payload || {};
+    const batch = Array.isArray(payload.subscriptions) ? payload.subscriptions : [];
+
+    // Guard against APIs that ignore `page` and return the same results again
+    const fresh = batch.filter((sub) => !seen.has(sub.id));
+    fresh.forEach((sub) => seen.add(sub.id));
+    all.push(...fresh);
+
+    const totalPages = Number(payload.total_pages || payload.totalPages || payload.last_page);
+    if (fresh.length === 0 || (Number.isFinite(totalPages) && page >= totalPages)) {
+      return all;
+    }
+    if (page === config.sealMaxPages) {
+      error("[Seal] Stopped paging subscriptions at SEAL_MAX_PAGES", {
+        query,
+        pages: page,
+        fetched: all.length,
+      });
+    }
+  }
+  return all;
+}
+
 /**
  * Get subscriptions by customer email.
- * GET /subscriptions?query={email}
+ * GET /subscriptions?query={email}&page={n}
+ *
+ * Seal's query is a free-text search, so every page is read and only
+ * subscriptions whose email is the same mailbox as `email` (case-insensitive,
+ * normalized like the ledger) are kept; anything else the search returned is
+ * logged as a warning.
  *
- * This function extracts subscription IDs from the Seal API response.
  * The email can come from UpPromote webhook (customer_email field) or UpPromote API.
  *
  * @param {string} email - Customer email address
@@ -80,39 +132,42 @@ async function getSubscriptionsByEmail(email, activeOnly = true) {
   try {
     log("[Seal] Fetching subscriptions by email", { email, activeOnly });
 
-    const res = await sealApi.get("/subscriptions", {
-      params: { query: email },
-    });
+    const found = await fetchAllSubscriptionPages(email.trim());
+
+    const matching = found.filter((sub) => sameEmail(subscriptionEmail(sub), email));
+    const others = found.filter((sub) => !sameEmail(subscriptionEmail(sub), email));
+    if (others.length > 0) {
+      error("[Seal] Subscription search returned other customers' subscriptions, ignoring them", {
+        email,
+        ignored: others.map((sub) => ({
+          id: sub.id,
+          email: subscriptionEmail(sub),
+          status: sub.status,
+        })),
+      });
+    }
 
-    // Use helper functions to extract subscriptions consistently
     let subscriptions;
     if (activeOnly) {
-      // Get only active subscriptions using the helper function
-      const activeIds = getAllActiveSubscriptionIds(res.data);
-      const allSubscriptions = res?.data?.payload?.subscriptions || [];
-      subscriptions = allSubscriptions.filter(sub => activeIds.includes(sub.id));
-      
+      subscriptions = matching.filter((sub) => sub.status === "ACTIVE");
+
       log("[Seal] Filtered subscriptions by ACTIVE status", {
         email,
-        originalCount: allSubscriptions.length,
+        originalCount: matching.length,
         activeCount: subscriptions.length,
-        filtered: allSubscriptions.length - subscriptions.length,
-        allStatuses: allSubscriptions.map(sub => ({ id: sub.id, status: sub.status })),
-        activeIds
+        filtered: matching.length - subscriptions.length,
+        allStatuses: matching.map(sub => ({ id: sub.id, status: sub.status })),
+        activeIds: subscriptions.map((sub) => sub.id)
       });
     } else {
-      // Get all subscriptions
-      subscriptions = Array.isArray(res?.data?.payload?.subscriptions)
-        ? res.data.payload.subscriptions
-        : [];
+      subscriptions = matching;
     }
 
     // ✅ Accurate, meaningful debug log
     log("[Seal] Successfully fetched subscriptions", {
       email,
-      responseStatus: res.status,
-      hasPayload: Boolean(res?.data?.payload),
-      isArrayResponse: Array.isArray(subscriptions),
+      searchResults: found.length,
+      otherCustomers: others.length,
       subscriptionCount: subscriptions.length,
       subscriptionIds: subscriptions.map(sub => sub.id),
       subscriptionStatuses: subscriptions.map(sub => ({ id: sub.id, status: sub.status }))
@@ -153,20 +208,33 @@ async function getSubscriptionIdsByEmail(email) {
 }
 
 /**
- * Get subscriptions by email and apply discount code to all active subscriptions.
+ * Get subscriptions by email and apply affiliate credit to them.
  * This function:
  * 1. Gets active subscriptions for the given email
- * 2. Creates or gets appropriate discount code (dynamic or static)
- * 3. Applies discount code to each active subscription via /subscription-discount-code API
+ * 2. Picks subscriptions and amounts with the SUBSCRIPTION_STRATEGY
+ * 3. Creates or gets the discount code(s) (dynamic or static)
+ * 4. Applies each code to its subscription via /subscription-discount-code API
  *
- * @param {string} email - Customer email address (from UpPromote webhook or API)
+ * @param {string|Array<string>} email - Customer email address(es); with several
+ *   (e.g. an affiliate's linked emails) the subscriptions of all of them are used
  * @param {string} discountCode - Specific discount code to apply (optional)
  * @param {number} commissionAmount - Commission amount for dynamic discount creation (optional)
  * @param {string} referralId - Referral ID for unique discount code generation (optional)
- * @returns {Promise<Object>} Object with applied subscription IDs and results
+ * @param {Object} [options]
+ * @param {boolean} [options.capToOrderValue=false] - cap the dynamic code at the smallest
+ *   next-order value among the subscriptions, so no credit is wasted on a cheaper order
+ * @returns {Promise<Object>} Object with applied subscription IDs, the strategy and its
+ *   allocations, per-subscription results (code + amount) and discountAmount, the total
+ *   value of the codes applied
  */
-async function getSubscriptionsAndApplyDiscount(email, discountCode = null, commissionAmount = 0, referralId = null) {
-  if (!email) {
+async function getSubscriptionsAndApplyDiscount(
+  email,
+  discountCode = null,
+  commissionAmount = 0,
+  referralId = null,
+  options = {}
+) {
+  if (!email || (Array.isArray(email) && email.length === 0)) {
     error("[Seal] No email provided to getSubscriptionsAndApplyDiscount");
     throw new Error("Email is required");
   }
@@ -179,8 +247,14 @@ async function getSubscriptionsAndApplyDiscount(email, discountCode = null, comm
       referralId,
     });
 
-    // Get active subscriptions by email
-    const subscriptions = await getSubscriptionsByEmail(email, true); // activeOnly = true
+    // Get active subscriptions for every email, once each
+    const emails = (Array.isArray(email) ? email : [email]).filter(Boolean);
+    const subscriptions = [];
+    for (const address of emails) {
+      for (const sub of await getSubscriptionsByEmail(address, true)) { // activeOnly = true
+        if (!subscriptions.some((existing) => existing.id === sub.id)) subscriptions.push(sub);
+      }
+    }
     const subscriptionIds = subscriptions.map((sub) => sub.id).filter(Boolean);
 
     if (subscriptionIds.length === 0) {
@@ -194,81 +268,121 @@ async function getSubscriptionsAndApplyDiscount(email, discountCode = null, comm
       };
     }
 
-    // Determine which discount code to use
-    let codeToUse = discountCode;
-    
-    if (!codeToUse) {
+    // Which subscriptions get how much (SUBSCRIPTION_STRATEGY). Partial
+    // usage: with capToOrderValue no code is worth more than its order, and
+    // the remainder stays on the ledger for later billing cycles.
+    const useDynamicCodes = !discountCode && commissionAmount > 0 && referralId;
+    let strategy = "all";
+    let allocations = subscriptionIds.map((subscriptionId) => ({
+      subscriptionId,
+      amount: commissionAmount,
+      shared: true
+    }));
+    if (useDynamicCodes) {
+      ({ strategy, allocations } = planAllocations(subscriptions, commissionAmount, {
+        capToOrderValue: options.capToOrderValue
+      }));
+    }
+
+    // One code per distinct allocation: a shared code for "all", otherwise
+    // one per subscription (keyed by referral + subscription when split)
+    const codeFor = new Map();
+    const perSubscription = allocations.length > 1 && !allocations[0]?.shared;
+
+    async function resolveCode(allocation) {
+      if (discountCode) return discountCode;
+      const key = perSubscription ? allocation.subscriptionId : "shared";
+      if (codeFor.has(key)) return codeFor.get(key);
+
+      let code;
       try {
-        // Try to create/get dynamic discount code if commission amount is provided
-        if (commissionAmount > 0 && referralId) {
-          codeToUse = await getOrCreateDiscountCode(commissionAmount, referralId, email);
+        if (useDynamicCodes) {
+          const codeKey = perSubscription
+            ? `${referralId}-${allocation.subscriptionId}`
+            : referralId;
+          // Restrict the code to the customer the subscription belongs to
+          const sub = subscriptions.find((s) => s.id === allocation.subscriptionId);
+          code = await getOrCreateDiscountCode(
+            allocation.amount,
+            codeKey,
+            subscriptionEmail(sub) || emails[0]
+          );
           log("[Seal] Using dynamic discount code", {
-            discountCode: codeToUse,
-            commissionAmount,
-            referralId
+            discountCode: code,
+            amount: allocation.amount,
+            referralId,
+            subscriptionId: perSubscription ? allocation.subscriptionId : undefined
           });
         } else {
           // Fall back to static discount code
-          codeToUse = config.subscriptionDiscountCode;
+          code = config.subscriptionDiscountCode;
           log("[Seal] Using static discount code", {
-            discountCode: codeToUse,
+            discountCode: code,
             reason: commissionAmount > 0 ? 'no referralId' : 'no commissionAmount'
           });
         }
       } catch (discountErr) {
+        // Shopify is down: park the work instead of falling back. No
+        // customer to restrict the code to: keep the credit rather than
+        // hand out the shared static code.
+        if (discountErr.circuitOpen || discountErr.customerNotFound) throw discountErr;
         error("[Seal] Failed to get discount code", {
           email,
-          commissionAmount,
+          amount: allocation.amount,
           referralId,
           error: discountErr.message
         });
         // Fall back to static code
-        codeToUse = config.subscriptionDiscountCode;
+        code = config.subscriptionDiscountCode;
       }
+      codeFor.set(key, code);
+      return code;
     }
 
-    if (!codeToUse) {
-      log("[Seal] No discount code available, skipping discount application", {
-        email,
-        subscriptionCount: subscriptionIds.length
-      });
-      return {
-        email,
-        subscriptionIds,
-        appliedDiscounts: [],
-        message: "No discount code configured",
-        success: true,
-      };
-    }
-
-    log("[Seal] Applying discount code to ACTIVE subscriptions", {
+    log("[Seal] Applying discount codes to ACTIVE subscriptions", {
       email,
+      strategy,
       subscriptionIds,
-      discountCode: codeToUse,
-      count: subscriptionIds.length,
+      allocations,
       commissionAmount
     });
 
-    // Apply discount code to each active subscription
+    // Apply the allocated code to each selected subscription
     const results = [];
     const errors = [];
 
-    for (const subscriptionId of subscriptionIds) {
+    for (const allocation of allocations) {
+      const { subscriptionId } = allocation;
+      const codeToUse = await resolveCode(allocation);
+
+      if (!codeToUse) {
+        log("[Seal] No discount code available, skipping subscription", {
+          email,
+          subscriptionId
+        });
+        errors.push({ subscriptionId, error: "No discount code available" });
+        continue;
+      }
+
       try {
         // Apply discount code using subscription ID only
         await applyDiscountCode(subscriptionId, codeToUse);
         results.push({
           subscriptionId,
           success: true,
-          discountCode: codeToUse
+          discountCode: codeToUse,
+          amount: allocation.amount
         });
         log("[Seal] Successfully applied discount to subscription", {
           email,
           subscriptionId,
           discountCode: codeToUse,
-          commissionAmount
+          amount: allocation.amount
         });
       } catch (err) {
+        // Seal is down: stop here rather than spend on part of the
+        // subscriptions; the retry re-applies the same code(s)
+        if (err.circuitOpen) throw err;
         errors.push({
           subscriptionId,
           error: err.message,
@@ -284,22 +398,34 @@ async function getSubscriptionsAndApplyDiscount(email, discountCode = null, comm
       }
     }
 
+    // Each applied code counts once, however many subscriptions share it
+    const appliedCodes = new Map();
+    for (const r of results) {
+      if (!appliedCodes.has(r.discountCode)) appliedCodes.set(r.discountCode, r.amount);
+    }
+    const discountAmount = [...appliedCodes.values()].reduce((sum, a) => sum + a, 0);
+
     log("[Seal] Completed applying discounts to subscriptions", {
       email,
+      strategy,
       totalSubscriptions: subscriptionIds.length,
+      selected: allocations.length,
       successful: results.length,
       failed: errors.length,
-      discountCode: codeToUse,
-      commissionAmount
+      discountCodes: [...appliedCodes.keys()],
+      discountAmount
     });
 
     return {
       email,
+      strategy,
       subscriptionIds,
+      allocations,
       appliedDiscounts: results,
       errors: errors.length > 0 ? errors : undefined,
       success: errors.length === 0,
-      discountCode: codeToUse
+      discountCode: results[0]?.discountCode || codeFor.values().next().value || null,
+      discountAmount
     };
   } catch (err) {
     error("[Seal] Failed to get subscriptions and apply discount", {
@@ -367,12 +493,54 @@ async function applyDiscountCode(subscriptionId, discountCode) {
   }
 }
 
+/**
+ * Remove a discount code from a subscription.
+ * PUT /subscription-discount-code { subscription_id, action: "remove", discount_code }
+ *
+ * @param {string|number} subscriptionId - Subscription ID
+ * @param {string} discountCode - Discount code to remove
+ */
+async function removeDiscountCode(subscriptionId, discountCode) {
+  const payload = {
+    subscription_id: subscriptionId,
+    action: "remove",
+    discount_code: discountCode,
+  };
+
+  try {
+    log("[Seal] Removing discount code from subscription", {
+      subscriptionId,
+      discountCode,
+    });
+    const res = await sealApi.put("/subscription-discount-code", payload);
+    log("[Seal] Successfully removed discount code", {
+      subscriptionId,
+      discountCode,
+      responseStatus: res.status,
+      responseData: res.data,
+    });
+    return res.data;
+  } catch (err) {
+    error("[Seal] Failed to remove discount code", {
+      subscriptionId,
+      discountCode,
+      status: err.response?.status,
+      statusText: err.response?.statusText,
+      data: err.response?.data,
+      message: err.message,
+    });
+    throw err;
+  }
+}
+
 module.exports = {
   sealApi,
   getSubscriptionsByEmail,
   getSubscriptionIdsByEmail,
   getSubscriptionsAndApplyDiscount,
   applyDiscountCode,
+  removeDiscountCode,
+  subscriptionEmail,
   pickActiveSubscriptionId,
   getAllActiveSubscriptionIds,
 };
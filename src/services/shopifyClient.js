@@ -1,7 +1,18 @@
 // src/services/shopifyClient.js
-const axios = require("axios");
+const crypto = require("crypto");
 const config = require("../config");
 const { log, error } = require("../utils/logger");
+const { sameEmail } = require("../utils/email");
+const { getConsumedForCode, recordDiscountRemoval } = require("./creditService");
+const { createHttpClient } = require("../utils/httpClient");
+const { registerProbe } = require("../utils/circuitBreaker");
+const {
+  registerDiscountCode,
+  getDiscountCode,
+  findActiveCodeForReferral,
+  getOpenApplications,
+  retireCode,
+} = require("./discountCodeRegistry");
 
 // -----------------------------------------------------------------------------
 // Shopify GraphQL client setup
@@ -13,7 +24,9 @@ const isShopifyConfigured =
 let shopifyGraphql = null;
 
 if (isShopifyConfigured) {
-  shopifyGraphql = axios.create({
+  shopifyGraphql = createHttpClient({
+    provider: "shopify",
+    graphql: true,
     baseURL: `https://${config.shopifyStore}/admin/api/${config.shopifyApiVersion}/graphql.json`,
     headers: {
       "X-Shopify-Access-Token": config.shopifyAdminApiToken,
@@ -22,6 +35,11 @@ if (isShopifyConfigured) {
     timeout: 15000,
   });
 
+  // Cheapest query there is; tells the circuit breaker Shopify is back
+  registerProbe("shopify", () =>
+    shopifyGraphql.post("", { query: "{ shop { id } }" }, { probe: true, idempotent: false }),
+  );
+
   log("[Shopify] GraphQL client configured", {
     store: config.shopifyStore,
     apiVersion: config.shopifyApiVersion,
@@ -36,6 +54,130 @@ if (isShopifyConfigured) {
   );
 }
 
+// -----------------------------------------------------------------------------
+// Code generation, customer restriction and combination rules
+// -----------------------------------------------------------------------------
+
+// No 0/O or 1/I/L, so codes survive being read out or retyped
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+function randomCodePart(length) {
+  let out = "";
+  for (let i = 0; i < length; i++) {
+    out += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return out;
+}
+
+/**
+ * Build a code from a template such as "AFFILIATE-{random}".
+ * Unknown placeholders are left as they are.
+ *
+ * @param {string} template
+ * @param {Object} [vars] - e.g. { referralId, subscriptionId }
+ * @returns {string} upper-case code
+ */
+function generateDiscountCode(template, vars = {}) {
+  return template
+    .replace(/\{(\w+)\}/g, (match, name) => {
+      if (name === "random") return randomCodePart(config.discountCodeRandomLength);
+      return vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : match;
+    })
+    .toUpperCase();
+}
+
+/**
+ * Find the Shopify customer with this email (same mailbox, see utils/email.js).
+ *
+ * @param {string} email
+ * @returns {Promise<{id:string, email:string}|null>}
+ */
+async function findCustomerByEmail(email) {
+  if (!shopifyGraphql) {
+    throw new Error("Shopify GraphQL not configured");
+  }
+  if (!email) return null;
+
+  const query = `
+    query customerByEmail($query: String!) {
+      customers(first: 5, query: $query) {
+        edges {
+          node {
+            id
+            email
+          }
+        }
+      }
+    }
+  `;
+
+  try {
+    const resp = await shopifyGraphql.post("", {
+      query,
+      variables: { query: `email:"${email.replace(/"/g, "")}"` },
+    });
+
+    const edges = resp.data?.data?.customers?.edges || [];
+    // The search is fuzzy; only accept the same mailbox
+    const match = edges
+      .map((edge) => edge.node)
+      .find((node) => sameEmail(node.email, email));
+
+    log("[Shopify] Customer lookup by email", {
+      email,
+      found: !!match,
+      customerId: match?.id,
+    });
+    return match || null;
+  } catch (err) {
+    error("[Shopify] Failed to look up customer by email", {
+      email,
+      message: err.message,
+      responseData: err.response?.data,
+    });
+    throw err;
+  }
+}
+
+/**
+ * customerSelection for a new code: the subscriber's Shopify customer when
+ * RESTRICT_CODES_TO_CUSTOMER is on. A code meant for one customer must not
+ * quietly become usable by anyone, so without a matching customer this
+ * throws (the mint fails and no credit is spent) unless
+ * ALLOW_UNRESTRICTED_CODES opts into an open code.
+ */
+async function buildCustomerSelection(customerEmail) {
+  if (!config.restrictCodesToCustomer) {
+    return { all: true };
+  }
+
+  const customer = await findCustomerByEmail(customerEmail);
+  if (!customer) {
+    if (config.allowUnrestrictedCodes) {
+      error("[Shopify] No Shopify customer for email, code will not be customer-restricted", {
+        customerEmail,
+      });
+      return { all: true };
+    }
+    error("[Shopify] No Shopify customer for email, not minting an unrestricted code", {
+      customerEmail,
+    });
+    const noCustomerErr = new Error(`No Shopify customer for ${customerEmail}; code not created`);
+    noCustomerErr.customerNotFound = true;
+    throw noCustomerErr;
+  }
+  return { customers: { add: [customer.id] } };
+}
+
+function buildCombinesWith() {
+  const allowed = config.discountCombinesWith;
+  return {
+    orderDiscounts: allowed.includes("order"),
+    productDiscounts: allowed.includes("product"),
+    shippingDiscounts: allowed.includes("shipping"),
+  };
+}
+
 // -----------------------------------------------------------------------------
 // Core: create a per-referral discount code using GraphQL
 // -----------------------------------------------------------------------------
@@ -44,18 +186,27 @@ if (isShopifyConfigured) {
  * Create a dynamic order-level fixed-amount discount code in Shopify
  * using the Admin GraphQL API (discountCodeBasicCreate).
  *
- * This returns a normal discount code the store can use anywhere
- * (including Seal subscriptions), like: AFFILIATE-26008232.
+ * This returns a normal discount code usable on Seal subscriptions, built
+ * from AFFILIATE_CODE_TEMPLATE (e.g. AFFILIATE-7KQ2M9XH4T) and restricted to
+ * the subscriber's Shopify customer.
+ *
+ * The code ends after DISCOUNT_CODE_EXPIRY_DAYS and is registered right away
+ * with its Shopify node ID, so the cleanup worker can retire it even if it
+ * never makes it onto a subscription.
  *
  * @param {number} commissionAmount - the commission amount (e.g. 30 => $30 off)
- * @param {string|number} referralId - UpPromote referral id for uniqueness
- * @param {string} customerEmail - for logging only (discount is not restricted)
+ * @param {string|number} referralId - UpPromote referral id
+ * @param {string} customerEmail - the code is restricted to this Shopify customer
+ * @param {Object} [options]
+ * @param {string} [options.code] - explicit code instead of one from the template
+ * @param {string} [options.title] - explicit discount title
  * @returns {Promise<string>} discountCode
  */
 async function createDynamicDiscountCode(
   commissionAmount,
   referralId,
   customerEmail,
+  options = {},
 ) {
   if (!shopifyGraphql) {
     throw new Error("Shopify GraphQL not configured");
@@ -68,9 +219,14 @@ async function createDynamicDiscountCode(
     );
   }
 
-  const discountCode = `AFFILIATE-${referralId}`;
+  const discountCode =
+    options.code || generateDiscountCode(config.affiliateCodeTemplate, { referralId });
   const now = new Date();
-  const oneYearFromNow = new Date(now.getTime() + 365 * 24 * 60 * 60 * 1000); // 1 year validity
+  const endsAt = config.discountCodeExpiryDays
+    ? new Date(
+        now.getTime() + config.discountCodeExpiryDays * 24 * 60 * 60 * 1000,
+      ).toISOString()
+    : null;
 
   // GraphQL mutation from Shopify docs (discountCodeBasicCreate)
   const mutation = `
@@ -94,21 +250,19 @@ async function createDynamicDiscountCode(
   // Build the DiscountCodeBasicInput
   const variables = {
     basicCodeDiscount: {
-      title: `Affiliate Credit - Referral ${referralId}`,
+      title: options.title || `Affiliate Credit - Referral ${referralId}`,
       code: discountCode,
 
       // Time window
       startsAt: now.toISOString(),
-      // endsAt: oneYearFromNow.toISOString(),
+      endsAt,
 
       // One use per customer / in total (you can adjust if you want)
       usageLimit: 1,
       appliesOncePerCustomer: true,
 
-      // All customers + all items, order-level discount
-      customerSelection: {
-        all: true,
-      },
+      // Only the subscriber; all items, order-level discount
+      customerSelection: await buildCustomerSelection(customerEmail),
       customerGets: {
         items: {
           all: true,
@@ -123,12 +277,8 @@ async function createDynamicDiscountCode(
         },
       },
 
-      // Allow combining if you want; safe defaults
-      combinesWith: {
-        orderDiscounts: true,
-        productDiscounts: true,
-        shippingDiscounts: true,
-      },
+      // DISCOUNT_COMBINES_WITH
+      combinesWith: buildCombinesWith(),
     },
   };
 
@@ -159,7 +309,10 @@ async function createDynamicDiscountCode(
       });
 
       const msg = userErrors.map((e) => e.message).join("; ");
-      throw new Error("Shopify discountCodeBasicCreate failed: " + msg);
+      const createErr = new Error("Shopify discountCodeBasicCreate failed: " + msg);
+      createErr.userErrors = userErrors;
+      createErr.discountCode = discountCode;
+      throw createErr;
     }
 
     const nodeId = payload?.codeDiscountNode?.id;
@@ -168,6 +321,16 @@ async function createDynamicDiscountCode(
       nodeId,
       referralId,
       amount: amountNumber.toFixed(2),
+      endsAt,
+    });
+
+    registerDiscountCode({
+      code: discountCode,
+      amount: amountNumber,
+      customerEmail,
+      nodeId,
+      expiresAt: endsAt,
+      mintedFor: referralId,
     });
 
     return discountCode;
@@ -184,13 +347,62 @@ async function createDynamicDiscountCode(
   }
 }
 
+/**
+ * Mint a one-off code worth exactly `amount` for a single subscription
+ * billing, built from BILLING_CODE_TEMPLATE (e.g. CREDIT-M4TQ8ZK2RW).
+ *
+ * @param {number} amount
+ * @param {string|number} subscriptionId - Seal subscription the code is for
+ * @param {string} customerEmail
+ * @returns {Promise<string>} discountCode
+ */
+async function createBillingDiscountCode(amount, subscriptionId, customerEmail) {
+  return withFreshCodeOnCollision(() =>
+    createDynamicDiscountCode(amount, `billing-${subscriptionId}`, customerEmail, {
+      code: generateDiscountCode(config.billingCodeTemplate, { subscriptionId }),
+      title: `Affiliate Credit - Subscription ${subscriptionId} billing`,
+    }),
+  );
+}
+
+// Random codes that happen to exist already are regenerated this many times
+const CODE_MINT_ATTEMPTS = 3;
+
+function isCodeTaken(err) {
+  return (err.userErrors || []).some(
+    (e) => e.code === "TAKEN" || /unique/i.test(e.message || ""),
+  );
+}
+
+/**
+ * Run `mint` (which generates a new random code on every call) again when
+ * Shopify reports its code as taken. The existing code belongs to someone
+ * else, so it is never reused.
+ *
+ * @param {() => Promise<string>} mint
+ * @returns {Promise<string>} discountCode
+ */
+async function withFreshCodeOnCollision(mint) {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await mint();
+    } catch (err) {
+      if (!isCodeTaken(err) || attempt >= CODE_MINT_ATTEMPTS) throw err;
+      log("[Shopify] Generated code already exists, generating another", {
+        discountCode: err.discountCode,
+        attempt,
+      });
+    }
+  }
+}
+
 // -----------------------------------------------------------------------------
-// Optional helper: check if a code exists (used rarely, but kept for API parity)
+// Existence check (used by getOrCreateDiscountCode for legacy codes)
 // -----------------------------------------------------------------------------
 
 /**
  * Check if a discount code already exists using codeDiscountNodes search.
- * Not strictly required for the bridge, but can be useful.
+ * Used to find legacy AFFILIATE-<referralId> codes before minting a new one.
  *
  * @param {string} discountCode
  * @returns {Promise<boolean>}
@@ -236,13 +448,333 @@ async function discountCodeExists(discountCode) {
   }
 }
 
+// -----------------------------------------------------------------------------
+// Lookup, deactivation and deletion (reversals and code cleanup)
+// -----------------------------------------------------------------------------
+
+/**
+ * Find a code discount node by its exact code.
+ *
+ * @param {string} discountCode
+ * @returns {Promise<{id:string, status:string|null, amount:number|null}|null>}
+ *   amount is the fixed amount off, null for other discount types
+ */
+async function findDiscountNodeByCode(discountCode) {
+  if (!shopifyGraphql) {
+    throw new Error("Shopify GraphQL not configured");
+  }
+
+  const query = `
+    query codeDiscountNodeByCode($code: String!) {
+      codeDiscountNodeByCode(code: $code) {
+        id
+        codeDiscount {
+          ... on DiscountCodeBasic {
+            status
+            customerGets {
+              value {
+                ... on DiscountAmount {
+                  amount {
+                    amount
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  try {
+    const resp = await shopifyGraphql.post("", {
+      query,
+      variables: { code: discountCode },
+    });
+
+    const node = resp.data?.data?.codeDiscountNodeByCode;
+    if (!node) {
+      log("[Shopify] No discount node found for code", { discountCode });
+      return null;
+    }
+    const amount = node.codeDiscount?.customerGets?.value?.amount?.amount;
+    return {
+      id: node.id,
+      status: node.codeDiscount?.status || null,
+      amount: amount !== undefined ? Number(amount) : null,
+    };
+  } catch (err) {
+    error("[Shopify] Failed to look up discount node by code", {
+      discountCode,
+      message: err.message,
+      responseData: err.response?.data,
+    });
+    throw err;
+  }
+}
+
+/**
+ * Deactivate a code so it can no longer be redeemed (discountCodeDeactivate).
+ * The code stays in Shopify for reporting.
+ *
+ * @param {string} discountCode
+ * @returns {Promise<{deactivated:boolean, nodeId?:string, reason?:string}>}
+ */
+async function deactivateDiscountCode(discountCode) {
+  const node = await findDiscountNodeByCode(discountCode);
+  if (!node) {
+    return { deactivated: false, reason: "not-found" };
+  }
+  if (node.status === "EXPIRED") {
+    log("[Shopify] Discount code already expired, nothing to deactivate", {
+      discountCode,
+      nodeId: node.id,
+    });
+    return { deactivated: false, nodeId: node.id, reason: "expired" };
+  }
+
+  const mutation = `
+    mutation discountCodeDeactivate($id: ID!) {
+      discountCodeDeactivate(id: $id) {
+        codeDiscountNode {
+          id
+        }
+        userErrors {
+          field
+          code
+          message
+        }
+      }
+    }
+  `;
+
+  try {
+    const resp = await shopifyGraphql.post("", {
+      query: mutation,
+      variables: { id: node.id },
+    });
+
+    const userErrors =
+      resp.data?.data?.discountCodeDeactivate?.userErrors || [];
+    if (userErrors.length) {
+      error("[Shopify] discountCodeDeactivate userErrors", {
+        discountCode,
+        nodeId: node.id,
+        userErrors,
+      });
+      const msg = userErrors.map((e) => e.message).join("; ");
+      throw new Error("Shopify discountCodeDeactivate failed: " + msg);
+    }
+
+    log("[Shopify] Discount code deactivated", {
+      discountCode,
+      nodeId: node.id,
+    });
+    return { deactivated: true, nodeId: node.id };
+  } catch (err) {
+    error("[Shopify] Failed to deactivate discount code", {
+      discountCode,
+      nodeId: node.id,
+      message: err.message,
+      responseData: err.response?.data,
+    });
+    throw err;
+  }
+}
+
+/**
+ * Delete a code from Shopify for good (discountCodeDelete).
+ *
+ * @param {string} discountCode
+ * @param {string} [nodeId] - known node ID; looked up by code otherwise
+ * @returns {Promise<{deleted:boolean, nodeId?:string, reason?:string}>}
+ */
+async function deleteDiscountCode(discountCode, nodeId) {
+  if (!nodeId) {
+    const node = await findDiscountNodeByCode(discountCode);
+    if (!node) {
+      return { deleted: false, reason: "not-found" };
+    }
+    nodeId = node.id;
+  }
+
+  const mutation = `
+    mutation discountCodeDelete($id: ID!) {
+      discountCodeDelete(id: $id) {
+        deletedCodeDiscountId
+        userErrors {
+          field
+          code
+          message
+        }
+      }
+    }
+  `;
+
+  try {
+    const resp = await shopifyGraphql.post("", {
+      query: mutation,
+      variables: { id: nodeId },
+    });
+
+    const userErrors = resp.data?.data?.discountCodeDelete?.userErrors || [];
+    if (userErrors.length) {
+      error("[Shopify] discountCodeDelete userErrors", {
+        discountCode,
+        nodeId,
+        userErrors,
+      });
+      const msg = userErrors.map((e) => e.message).join("; ");
+      throw new Error("Shopify discountCodeDelete failed: " + msg);
+    }
+
+    log("[Shopify] Discount code deleted", { discountCode, nodeId });
+    return { deleted: true, nodeId };
+  } catch (err) {
+    error("[Shopify] Failed to delete discount code", {
+      discountCode,
+      nodeId,
+      message: err.message,
+      responseData: err.response?.data,
+    });
+    throw err;
+  }
+}
+
 // -----------------------------------------------------------------------------
 // Public API used by the rest of your app
 // -----------------------------------------------------------------------------
 
 /**
- * Public function used by UpPromote → Seal flow.
- * With Option 2 we *always* create a dynamic code – no static fallback.
+ * Change the fixed amount of an existing code (discountCodeBasicUpdate).
+ *
+ * @param {string} nodeId
+ * @param {number} amount
+ * @returns {Promise<void>}
+ */
+async function updateDiscountCodeAmount(nodeId, amount) {
+  const mutation = `
+    mutation discountCodeBasicUpdate($id: ID!, $basicCodeDiscount: DiscountCodeBasicInput!) {
+      discountCodeBasicUpdate(id: $id, basicCodeDiscount: $basicCodeDiscount) {
+        codeDiscountNode {
+          id
+        }
+        userErrors {
+          field
+          code
+          message
+        }
+      }
+    }
+  `;
+
+  try {
+    const resp = await shopifyGraphql.post("", {
+      query: mutation,
+      variables: {
+        id: nodeId,
+        basicCodeDiscount: {
+          customerGets: {
+            value: {
+              discountAmount: {
+                amount: Number(amount).toFixed(2),
+                appliesOnEachItem: false,
+              },
+            },
+          },
+        },
+      },
+    });
+
+    const userErrors = resp.data?.data?.discountCodeBasicUpdate?.userErrors || [];
+    if (userErrors.length) {
+      error("[Shopify] discountCodeBasicUpdate userErrors", { nodeId, userErrors });
+      const msg = userErrors.map((e) => e.message).join("; ");
+      throw new Error("Shopify discountCodeBasicUpdate failed: " + msg);
+    }
+
+    log("[Shopify] Discount code amount updated", {
+      nodeId,
+      amount: Number(amount).toFixed(2),
+    });
+  } catch (err) {
+    error("[Shopify] Failed to update discount code amount", {
+      nodeId,
+      amount,
+      message: err.message,
+      responseData: err.response?.data,
+    });
+    throw err;
+  }
+}
+
+/**
+ * Make an existing code usable for `amount`: it must still be active in
+ * Shopify, and its amount is corrected if it differs – unless
+ * `updateAmount` is off, for a code whose value the ledger already spent.
+ *
+ * @returns {Promise<boolean>} false if the code cannot be reused
+ */
+async function reuseDiscountCode(discountCode, amount, { updateAmount = true } = {}) {
+  const node = await findDiscountNodeByCode(discountCode);
+  if (!node || node.status !== "ACTIVE") {
+    log("[Shopify] Existing code not reusable", {
+      discountCode,
+      status: node?.status || "not-found",
+    });
+    return false;
+  }
+
+  if (!updateAmount) {
+    registerDiscountCode({ code: discountCode, nodeId: node.id });
+    return true;
+  }
+
+  if (node.amount === null || Math.abs(node.amount - amount) >= 0.005) {
+    log("[Shopify] Existing code amount differs, updating", {
+      discountCode,
+      existingAmount: node.amount,
+      amount,
+    });
+    await updateDiscountCodeAmount(node.id, amount);
+  }
+
+  registerDiscountCode({ code: discountCode, amount, nodeId: node.id });
+  return true;
+}
+
+/**
+ * Retire a legacy AFFILIATE-<referralId> code: it can be guessed and is open
+ * to every customer, so it is deactivated in Shopify rather than reused.
+ * Credit the ledger spent on it goes back to the referral, to be spent on
+ * the code minted in its place. A subscription still carrying it keeps a
+ * dead reference, which is harmless once Shopify rejects the code.
+ */
+async function retireLegacyCode(legacyCode, referralId) {
+  await deactivateDiscountCode(legacyCode);
+  if (getDiscountCode(legacyCode)) {
+    for (const app of getOpenApplications(legacyCode)) {
+      recordDiscountRemoval(app.referralId, app.subscriptionId, legacyCode);
+    }
+    retireCode(legacyCode, { reason: "replaced", action: "deactivate" });
+  }
+  log("[Shopify] Legacy discount code deactivated, minting a new one", {
+    discountCode: legacyCode,
+    referralId,
+  });
+}
+
+/**
+ * Public function used by UpPromote → Seal flow: get-or-create the code for
+ * a referral. A retried referral-approved webhook reuses the active code it
+ * minted the first time (from the code registry) instead of minting another
+ * one, after checking its amount matches. A registered code the ledger
+ * already consumed credit for keeps its amount; the caller only spends the
+ * rest of it.
+ *
+ * A legacy AFFILIATE-<referralId> code is deactivated and replaced by a new
+ * customer-restricted one, and a random code that collides with an existing
+ * one is regenerated.
  *
  * @param {number} commissionAmount
  * @param {string|number} referralId
@@ -254,13 +786,48 @@ async function getOrCreateDiscountCode(
   referralId,
   customerEmail,
 ) {
-  // Always create a fresh code per referral
-  return createDynamicDiscountCode(commissionAmount, referralId, customerEmail);
+  const amount = Number(commissionAmount);
+
+  // Codes minted before templates existed were AFFILIATE-<referralId>
+  const legacyCode = `AFFILIATE-${referralId}`;
+
+  const registered = findActiveCodeForReferral(referralId);
+  const spent = registered ? getConsumedForCode(registered.code) > 0 : false;
+  if (
+    registered &&
+    registered.code !== legacyCode &&
+    (await reuseDiscountCode(registered.code, amount, { updateAmount: !spent }))
+  ) {
+    log("[Shopify] Reusing registered discount code for referral", {
+      discountCode: registered.code,
+      referralId,
+      amount: spent ? registered.amount : amount,
+    });
+    return registered.code;
+  }
+
+  const legacyRecord = getDiscountCode(legacyCode);
+  if (
+    (!legacyRecord || legacyRecord.status === "active") &&
+    (await discountCodeExists(legacyCode))
+  ) {
+    await retireLegacyCode(legacyCode, referralId);
+  }
+
+  return withFreshCodeOnCollision(() =>
+    createDynamicDiscountCode(amount, referralId, customerEmail),
+  );
 }
 
 module.exports = {
   createDynamicDiscountCode,
+  createBillingDiscountCode,
+  generateDiscountCode,
+  findCustomerByEmail,
   discountCodeExists,
+  findDiscountNodeByCode,
+  deactivateDiscountCode,
+  deleteDiscountCode,
   getOrCreateDiscountCode,
   isShopifyConfigured,
 };
@@ -0,0 +1,139 @@
+// src/services/subscriptionSelection.js
+const config = require("../config");
+const { log } = require("../utils/logger");
+
+/**
+ * Subscription selection strategies: which of a customer's ACTIVE Seal
+ * subscriptions get affiliate credit, and how much each one gets.
+ *
+ * Credit codes are single-use, so putting the same code on every
+ * subscription ("all") only benefits whichever bills first. The other
+ * strategies target one subscription, or split the amount into one code
+ * per subscription.
+ *
+ * SUBSCRIPTION_STRATEGY:
+ * - "all":           every subscription, one shared code for the full amount
+ * - "soonest":       the subscription with the earliest next billing date
+ * - "highest-value": the subscription with the largest order value
+ * - "split":         every subscription, the amount split in proportion to
+ *                    order value (evenly if unknown), one code each
+ */
+
+function orderValue(sub) {
+  const value = Number(sub.total_value);
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+/**
+ * Next billing time in ms, or Infinity when Seal did not send one.
+ */
+function nextBillingTime(sub) {
+  const raw = sub.next_billing_date || sub.next_order_date || sub.next_billing_at;
+  const time = raw ? new Date(raw).getTime() : NaN;
+  return Number.isFinite(time) ? time : Infinity;
+}
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function capAt(amount, sub, capToOrderValue) {
+  const value = orderValue(sub);
+  return capToOrderValue && value !== null ? Math.min(amount, value) : amount;
+}
+
+/**
+ * Split `amount` over subscriptions in proportion to order value; the last
+ * share takes the rounding remainder.
+ */
+function splitAmount(amount, subscriptions, capToOrderValue) {
+  const values = subscriptions.map(orderValue);
+  const useValues = values.every((v) => v !== null);
+  const weights = useValues ? values : subscriptions.map(() => 1);
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+  let left = amount;
+  return subscriptions.map((sub, i) => {
+    const share =
+      i === subscriptions.length - 1
+        ? roundCents(left)
+        : roundCents((amount * weights[i]) / totalWeight);
+    left -= share;
+    return {
+      subscriptionId: sub.id,
+      amount: roundCents(capAt(share, sub, capToOrderValue)),
+      shared: false
+    };
+  });
+}
+
+/**
+ * Decide which subscriptions get credit and how much.
+ *
+ * @param {Array<Object>} subscriptions - ACTIVE Seal subscriptions
+ * @param {number} amount - credit to hand out
+ * @param {Object} [options]
+ * @param {string} [options.strategy=config.subscriptionStrategy]
+ * @param {boolean} [options.capToOrderValue=false] - never give a subscription
+ *   more than its next order value
+ * @returns {{strategy:string, allocations:Array<{subscriptionId:string|number, amount:number, shared:boolean}>}}
+ *   `shared` allocations all use one code worth `amount`
+ */
+function planAllocations(subscriptions, amount, options = {}) {
+  const strategy = options.strategy || config.subscriptionStrategy;
+  const capToOrderValue = !!options.capToOrderValue;
+  const candidates = subscriptions.filter((sub) => sub.id);
+
+  if (candidates.length === 0 || !(amount > 0)) {
+    return { strategy, allocations: [] };
+  }
+
+  let allocations;
+  switch (strategy) {
+    case "soonest": {
+      const sub = [...candidates].sort((a, b) => nextBillingTime(a) - nextBillingTime(b))[0];
+      allocations = [
+        { subscriptionId: sub.id, amount: roundCents(capAt(amount, sub, capToOrderValue)), shared: false }
+      ];
+      break;
+    }
+    case "highest-value": {
+      const sub = [...candidates].sort((a, b) => (orderValue(b) || 0) - (orderValue(a) || 0))[0];
+      allocations = [
+        { subscriptionId: sub.id, amount: roundCents(capAt(amount, sub, capToOrderValue)), shared: false }
+      ];
+      break;
+    }
+    case "split":
+      allocations = splitAmount(amount, candidates, capToOrderValue);
+      break;
+    case "all":
+    default: {
+      // One code on every subscription: it must fit the cheapest order
+      const shared = candidates.reduce(
+        (value, sub) => capAt(value, sub, capToOrderValue),
+        amount
+      );
+      allocations = candidates.map((sub) => ({
+        subscriptionId: sub.id,
+        amount: roundCents(shared),
+        shared: true
+      }));
+    }
+  }
+
+  allocations = allocations.filter((a) => a.amount > 0);
+  log("[SubscriptionSelection] Planned credit allocation", {
+    strategy,
+    amount,
+    capToOrderValue,
+    candidates: candidates.map((sub) => sub.id),
+    allocations
+  });
+  return { strategy, allocations };
+}
+
+module.exports = {
+  planAllocations,
+  nextBillingTime
+};
@@ -1,10 +1,12 @@
 // src/services/uppromoteClient.js
-const axios = require("axios");
 const config = require("../config");
 const { log, error } = require("../utils/logger");
+const { createHttpClient } = require("../utils/httpClient");
 
-// Base client for UpPromote API v2
-const uppromoteApi = axios.create({
+// Base client for UpPromote API v2. Adjustments are POSTs, so they are not
+// retried here (only on 429); the outbox owns their retries.
+const uppromoteApi = createHttpClient({
+  provider: "uppromote",
   baseURL: "https://aff-api.uppromote.com/api/v2",
   headers: {
     Accept: "application/json",
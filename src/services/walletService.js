@@ -0,0 +1,601 @@
+// src/services/walletService.js
+const config = require("../config");
+const { log, error } = require("../utils/logger");
+const {
+  storeReferralCredit,
+  getReferralRecords,
+  getReferralCredit,
+  getTotalCreditForCustomer,
+  withCustomerLock,
+  consumeCreditForCustomer,
+  consumeReferralCredit,
+  getConsumedForCode,
+  recordDiscountApplication,
+  settleSubscriptionApplications,
+  getOpenSubscriptionApplications
+} = require("./creditService");
+const {
+  getSubscriptionsAndApplyDiscount,
+  applyDiscountCode,
+  removeDiscountCode
+} = require("./sealClient");
+const {
+  isShopifyConfigured,
+  createBillingDiscountCode,
+  deactivateDiscountCode
+} = require("./shopifyClient");
+const { registerDiscountCode, getDiscountCode } = require("./discountCodeRegistry");
+const { releaseSubscriptionCredit } = require("./codeLifecycle");
+const {
+  resolveReferralIdentity,
+  getSubscriberEmails
+} = require("./identityService");
+
+/**
+ * Wallet engine: the one place that decides when affiliate credit is spent.
+ *
+ * CREDIT_SPEND_MODE picks when new credit is first spent:
+ * - "approval": when UpPromote approves a referral, its credit is turned into
+ *   a Shopify code on the customer's Seal subscriptions and spent right away.
+ * - "billing":  approval only stores credit; it is spent when Seal reports a
+ *   subscription billing.
+ * - "scheduled": approval only stores credit; the credit scheduler spends it
+ *   shortly before each subscription's next billing date (see
+ *   creditScheduler.js), so nothing is committed to orders that may never
+ *   happen.
+ *
+ * Usage is partial: a code is never worth more than the next order, and the
+ * remainder is carried forward on the ledger. In "approval" and "billing"
+ * mode each Seal billing then draws down the carried-forward balance until
+ * it is exhausted; in "scheduled" mode the scheduler does.
+ *
+ * Credit is bound to a subscription only while it can bill: codes on a
+ * cancelled or paused subscription are released back to the ledger and
+ * attached again when a new or resumed subscription appears.
+ *
+ * Only the active mode spends, and every spend goes through the credit
+ * ledger, which is the only code that queues negative UpPromote adjustments.
+ * That way each dollar of commission is deducted exactly once.
+ *
+ * Every spend (balance check, code minted and attached, credit consumed)
+ * runs under the account's lock (withCustomerLock), so concurrent webhooks,
+ * jobs and scheduler passes for one customer can't spend a balance twice.
+ */
+
+/**
+ * Runs a step right away; the job queue passes a runner that remembers
+ * completed steps instead (see jobQueue.js).
+ */
+function runStep(name, fn) {
+  return fn();
+}
+
+/**
+ * Handle an approved UpPromote referral: store its credit and, in
+ * "approval" mode, spend it on the subscriber's Seal subscriptions.
+ *
+ * Storing the credit and spending each ledger record are separate steps,
+ * so a failed Seal or Shopify call only repeats the spend that failed.
+ *
+ * @param {Object} payload - UpPromote referral payload
+ * @param {Object} [options]
+ * @param {Function} [options.step] - step runner, `step(name, fn)`
+ * @returns {Promise<Object>} outcome (stored for replays)
+ */
+async function handleReferralApproved(payload, { step = runStep } = {}) {
+  const referralId = payload.id || null;
+  const outcome = {
+    success: true,
+    referralId,
+    spendMode: config.creditSpendMode,
+    subscriptionIds: [],
+    appliedCount: 0,
+    discountCode: null,
+    usedCredit: 0,
+    breakdown: []
+  };
+
+  // 1) Store credit for this referral (local ledger)
+  await step("store-credit", () => {
+    try {
+      storeReferralCredit(payload);
+    } catch (logicErr) {
+      error("[Wallet] Error in storeReferralCredit:", logicErr);
+      // Do not fail the webhook for internal logic errors
+    }
+  });
+
+  if (config.creditSpendMode !== "approval") {
+    log("[Wallet] Credit held on ledger until subscription billing", {
+      referralId,
+      spendMode: config.creditSpendMode
+    });
+    outcome.message = "credit-held";
+    return outcome;
+  }
+
+  // Same resolver as the ledger, so credit is spent on the subscriptions of
+  // the account(s) it was stored under (including linked emails)
+  const records = referralId ? getReferralRecords(referralId) : [];
+  if (records.length === 0) {
+    outcome.message = "referral-not-on-ledger";
+    return outcome;
+  }
+  const { recipients } = resolveReferralIdentity(payload);
+
+  outcome.recipients = [];
+  outcome.discountCodes = [];
+  outcome.carriedForward = 0;
+  for (const record of records) {
+    const recipient = recipients.find((r) => r.email === record.customerEmail);
+    const subscriberEmails = recipient
+      ? recipient.subscriberEmails
+      : getSubscriberEmails(record.customerEmail);
+
+    const spent = await step(`spend:${record.referralId}`, () =>
+      spendReferralRecord(record, subscriberEmails)
+    );
+    outcome.recipients.push({
+      recipient: record.recipient || null,
+      customerEmail: record.customerEmail,
+      referralId: record.referralId,
+      ...spent
+    });
+
+    outcome.subscriptionIds.push(...spent.subscriptionIds);
+    outcome.appliedCount += spent.appliedCount;
+    outcome.discountCode = outcome.discountCode || spent.discountCode;
+    outcome.strategy = outcome.strategy || spent.strategy;
+    outcome.usedCredit += spent.usedCredit;
+    outcome.breakdown.push(...spent.breakdown);
+    outcome.discountCodes.push(...spent.discountCodes);
+    outcome.carriedForward += spent.carriedForward;
+  }
+
+  if (outcome.recipients.every((r) => r.message)) {
+    outcome.message = outcome.recipients[0].message;
+  }
+  return outcome;
+}
+
+/**
+ * Spend what is left of one ledger record (a referral, or one recipient's
+ * share of a split referral) on its account's Seal subscriptions.
+ *
+ * @param {Object} record - ledger record
+ * @param {Array<string>} subscriberEmails - addresses to look subscriptions up under
+ * @returns {Promise<Object>} per-record outcome
+ */
+function spendReferralRecord(record, subscriberEmails) {
+  // Re-read under the lock: another spend may have used the record since
+  return withCustomerLock(record.customerEmail, () =>
+    spendRecordLocked(getReferralCredit(record.referralId) || record, subscriberEmails)
+  );
+}
+
+async function spendRecordLocked(record, subscriberEmails) {
+  const referralId = record.referralId;
+  const outcome = {
+    subscriptionIds: [],
+    appliedCount: 0,
+    discountCode: null,
+    strategy: null,
+    usedCredit: 0,
+    breakdown: [],
+    discountCodes: [],
+    carriedForward: record.remainingCommission
+  };
+
+  if (subscriberEmails.length === 0) {
+    outcome.message = "no-email";
+    return outcome;
+  }
+
+  // 2) Spend what is left of this record, but never more than the
+  //    account's net balance (debts from reversed referrals come first).
+  //    The Seal service caps it further at the next order value.
+  const amount = Math.min(
+    record.remainingCommission,
+    getTotalCreditForCustomer(record.customerEmail)
+  );
+  if (amount <= 0) {
+    log("[Wallet] Nothing to spend for referral", {
+      referralId,
+      remainingCommission: record.remainingCommission
+    });
+    outcome.message = "no-credit";
+    return outcome;
+  }
+
+  try {
+    // 3) Find Seal subscriptions and apply codes worth up to `amount`
+    const result = await getSubscriptionsAndApplyDiscount(
+      subscriberEmails,
+      null, // Let the Seal service handle discount code creation
+      amount,
+      referralId,
+      { capToOrderValue: true }
+    );
+
+    const appliedCount =
+      typeof result.appliedCount === "number"
+        ? result.appliedCount
+        : result.appliedDiscounts?.length || 0;
+
+    outcome.subscriptionIds = result.subscriptionIds || [];
+    outcome.appliedCount = appliedCount;
+    outcome.discountCode = result.discountCode || null;
+    outcome.strategy = result.strategy || null;
+
+    log("[Wallet] Processed Seal subscriptions and applied discounts", {
+      subscriberEmails,
+      referralId,
+      amount,
+      strategy: result.strategy,
+      subscriptionIds: result.subscriptionIds,
+      appliedCount,
+      success: result.success
+    });
+
+    if (result.errors && result.errors.length > 0) {
+      error("[Wallet] Some subscriptions failed to get discount applied", {
+        subscriberEmails,
+        errors: result.errors
+      });
+    }
+
+    if (appliedCount === 0 || !result.discountCode) {
+      // Nothing attached, so nothing is spent – credit stays on the ledger
+      return outcome;
+    }
+
+    // One entry per code actually attached ("all" shares one code across
+    // subscriptions, "split" has one code per subscription)
+    const appliedCodes = new Map();
+    for (const applied of result.appliedDiscounts || []) {
+      const entry = appliedCodes.get(applied.discountCode) || {
+        amount: applied.amount ?? result.discountAmount ?? amount,
+        subscriptionIds: []
+      };
+      entry.subscriptionIds.push(applied.subscriptionId);
+      appliedCodes.set(applied.discountCode, entry);
+    }
+
+    // 4) Remember where the credit went (needed for reversals) and spend
+    //    exactly the codes' value; anything left is carried forward.
+    //    The ledger queues the negative UpPromote adjustments.
+    for (const [discountCode, applied] of appliedCodes) {
+      // A retried spend gets back the code it already paid for (or part
+      // of): only what the ledger has not consumed for it yet is due, and
+      // its registered value stays as it is
+      const alreadyConsumed = getConsumedForCode(discountCode, referralId);
+      const due = alreadyConsumed > 0
+        ? Math.max(0, (getDiscountCode(discountCode)?.amount ?? applied.amount) - alreadyConsumed)
+        : applied.amount;
+      const discountAmount = Math.min(due, amount - outcome.usedCredit);
+      if (due > 0 && discountAmount <= 0) break;
+
+      recordDiscountApplication(referralId, {
+        discountCode,
+        subscriptionIds: applied.subscriptionIds
+      });
+      const spent = discountAmount > 0
+        ? consumeReferralCredit(referralId, discountAmount, {
+          trigger: "approval",
+          strategy: result.strategy,
+          discountCode,
+          subscriptionIds: applied.subscriptionIds
+        })
+        : { used: 0, breakdown: [] };
+      registerDiscountCode({
+        code: discountCode,
+        amount: alreadyConsumed > 0 ? undefined : discountAmount,
+        referralIds: [referralId],
+        subscriptionIds: applied.subscriptionIds,
+        customerEmail: record.customerEmail,
+        trigger: "approval"
+      });
+      outcome.usedCredit += spent.used;
+      outcome.breakdown.push(...spent.breakdown);
+      outcome.discountCodes.push({
+        discountCode,
+        amount: alreadyConsumed + discountAmount,
+        subscriptionIds: applied.subscriptionIds
+      });
+    }
+    outcome.carriedForward = Math.max(0, record.remainingCommission - outcome.usedCredit);
+  } catch (sealErr) {
+    // Nothing attached means nothing spent; the job queue retries this step
+    error("[Wallet] Error processing Seal subscriptions:", sealErr);
+    throw sealErr;
+  }
+
+  return outcome;
+}
+
+/**
+ * Whether a Seal subscription status means it will not bill again (for now).
+ * A missing status counts as active.
+ */
+function isInactiveStatus(status) {
+  return !!status && String(status).toUpperCase() !== "ACTIVE";
+}
+
+/**
+ * Handle a Seal subscription webhook: when it reports a billed order, the
+ * credit code attached for that order is now used, so attach a new one for
+ * the next order from the customer's remaining (carried-forward) balance.
+ *
+ * Only a delivery with Seal's order ID proves a billing (the route
+ * deduplicates on it). Any other delivery leaves the open code alone –
+ * Shopify's redemption settles it (markCodeRedeemed) – and attaching stops
+ * at "credit-already-attached", so nothing is stacked or spent twice.
+ *
+ * @param {Object} params
+ * @param {string|number} params.subscriptionId
+ * @param {string} params.customerEmail
+ * @param {number} params.totalValue - subscription order value
+ * @param {string} [params.status] - Seal subscription status
+ * @param {string|number} [params.orderId] - Seal order that was billed
+ * @param {Object} [options]
+ * @param {Function} [options.step] - step runner, `step(name, fn)`
+ * @returns {Promise<Object>} outcome
+ */
+async function handleSubscriptionBilling(
+  { subscriptionId, customerEmail, totalValue, status, orderId = null },
+  { step = runStep } = {}
+) {
+  // The code attached before this billing was redeemed by it. Its own step,
+  // so a retried attach never settles the code it attached itself.
+  if (orderId) {
+    await step("settle", () => settleSubscriptionApplications(subscriptionId, { orderId }));
+  }
+
+  if (isInactiveStatus(status)) {
+    // Last order before a cancellation or pause: keep the credit on the
+    // ledger for the customer's next active subscription
+    const released = await releaseSubscriptionCredit(subscriptionId, { event: "billing" });
+    return { success: true, message: "subscription-inactive", usedCredit: 0, released };
+  }
+
+  if (config.creditSpendMode === "scheduled") {
+    // The scheduler attaches credit once the next billing date is close
+    return { success: true, message: "credit-held", usedCredit: 0 };
+  }
+
+  return attachCreditToSubscription({
+    subscriptionId,
+    customerEmail,
+    totalValue,
+    trigger: "billing"
+  });
+}
+
+/**
+ * Handle a Seal subscription lifecycle event.
+ *
+ * - cancelled / paused (or an update to a non-active status): take the
+ *   credit codes off the subscription and return their unspent value to
+ *   the ledger (see releaseSubscriptionCredit).
+ * - created / updated while active (e.g. resumed): attach the customer's
+ *   balance, unless a credit code is already open on it ("scheduled" mode
+ *   leaves that to the scheduler).
+ *
+ * @param {Object} params
+ * @param {string} params.event - "created" | "updated" | "cancelled" | "paused"
+ * @param {string|number} params.subscriptionId
+ * @param {string} params.customerEmail
+ * @param {number} params.totalValue - subscription order value
+ * @param {string} [params.status] - Seal subscription status
+ * @returns {Promise<Object>} outcome
+ */
+async function handleSubscriptionLifecycle({
+  event,
+  subscriptionId,
+  customerEmail,
+  totalValue,
+  status
+}) {
+  if (event === "cancelled" || event === "paused" || isInactiveStatus(status)) {
+    const released = await releaseSubscriptionCredit(subscriptionId, { event });
+    return {
+      success: released.errors.length === 0,
+      event,
+      message: released.released.length > 0 ? "credit-released" : "no-open-credit",
+      returnedCredit: released.returned,
+      released: released.released
+    };
+  }
+
+  const open = getOpenSubscriptionApplications(subscriptionId);
+  if (open.length > 0) {
+    return {
+      success: true,
+      event,
+      message: "credit-already-attached",
+      discountCodes: [...new Set(open.map((app) => app.discountCode))]
+    };
+  }
+
+  if (config.creditSpendMode === "scheduled") {
+    return { success: true, event, message: "credit-held", usedCredit: 0 };
+  }
+
+  const result = await attachCreditToSubscription({
+    subscriptionId,
+    customerEmail,
+    totalValue,
+    trigger: "reattach"
+  });
+  return { event, ...result };
+}
+
+/**
+ * Mint a code from the customer's balance (up to the order value), attach
+ * it to the subscription and spend the credit.
+ *
+ * @param {Object} params
+ * @param {string|number} params.subscriptionId
+ * @param {string} params.customerEmail
+ * @param {number} params.totalValue - subscription order value
+ * @param {string} params.trigger - "billing" | "reattach" | "scheduled"
+ * @returns {Promise<Object>} outcome
+ */
+function attachCreditToSubscription(params) {
+  return withCustomerLock(params.customerEmail, () => attachCreditLocked(params));
+}
+
+/**
+ * Make a billing code that won't be paid for unusable: deactivate it in
+ * Shopify and, if it got that far, take it off the subscription. Failures
+ * are only logged; the cleanup sweep retires the code once it expires.
+ */
+async function discardBillingCode(subscriptionId, discountCode, { attached }) {
+  try {
+    await deactivateDiscountCode(discountCode);
+  } catch (cleanupErr) {
+    error("[Wallet] Failed to deactivate unused billing code", {
+      discountCode,
+      error: cleanupErr.message
+    });
+  }
+  if (!attached) return;
+  try {
+    await removeDiscountCode(subscriptionId, discountCode);
+  } catch (cleanupErr) {
+    error("[Wallet] Failed to remove unused billing code from subscription", {
+      subscriptionId,
+      discountCode,
+      error: cleanupErr.message
+    });
+  }
+}
+
+async function attachCreditLocked({ subscriptionId, customerEmail, totalValue, trigger }) {
+  // A concurrent lifecycle event or scheduler pass may have attached
+  // credit while we waited for the lock
+  const open = getOpenSubscriptionApplications(subscriptionId);
+  if (open.length > 0) {
+    return {
+      success: true,
+      message: "credit-already-attached",
+      usedCredit: 0,
+      discountCodes: [...new Set(open.map((app) => app.discountCode))]
+    };
+  }
+
+  // How much credit is available for this customer (from UpPromote referrals)?
+  const availableCredit = getTotalCreditForCustomer(customerEmail);
+  log(`[Wallet] Customer ${customerEmail} has available credit ${availableCredit}`);
+
+  if (availableCredit <= 0) {
+    // Nothing to do, just acknowledge
+    return { success: true, message: "no-credit", usedCredit: 0 };
+  }
+
+  // Decide how much to use now: up to this subscription's order value.
+  // Whatever is left is carried forward to the next billing.
+  const amountToUse = Math.min(availableCredit, totalValue);
+  log("[Wallet] Credit calculation", {
+    availableCredit,
+    totalValue,
+    amountToUse
+  });
+
+  if (amountToUse <= 0) {
+    return { success: true, message: "no-order-value", usedCredit: 0 };
+  }
+
+  if (!isShopifyConfigured) {
+    log("[Wallet] Shopify not configured, cannot mint a billing code – credit kept", {
+      subscriptionId,
+      customerEmail,
+      amountToUse
+    });
+    return { success: true, message: "shopify-not-configured", usedCredit: 0 };
+  }
+
+  // 1) Mint a Shopify code worth exactly amountToUse
+  const discountCode = await createBillingDiscountCode(
+    amountToUse,
+    subscriptionId,
+    customerEmail
+  );
+
+  // 2) Attach it to this subscription. Credit is only spent once Seal
+  //    confirms; otherwise the freshly minted code is retired again.
+  try {
+    const sealResponse = await applyDiscountCode(subscriptionId, discountCode);
+    if (sealResponse?.success === false) {
+      throw new Error(
+        `Seal rejected discount code: ${sealResponse.message || "unknown reason"}`
+      );
+    }
+  } catch (applyErr) {
+    error("[Wallet] Could not attach billing code, credit not consumed", {
+      subscriptionId,
+      discountCode,
+      error: applyErr.message
+    });
+    await discardBillingCode(subscriptionId, discountCode, { attached: false });
+    throw applyErr;
+  }
+
+  // 3) Spend the credit; the ledger queues the negative UpPromote adjustment.
+  //    The code is worth exactly amountToUse, so it is consumed in full or
+  //    not at all.
+  log("[Wallet] Consuming credit for customer", { discountCode, amountToUse });
+  const result = await consumeCreditForCustomer(
+    customerEmail,
+    amountToUse,
+    { trigger, subscriptionId, discountCode },
+    { allOrNothing: true }
+  );
+
+  if (result.used < amountToUse) {
+    // The balance dropped below the code's value after all: a code that
+    // isn't paid for must not stay usable. The job retries with the
+    // balance as it is now.
+    error("[Wallet] Balance no longer covers the billing code, discarding it", {
+      subscriptionId,
+      discountCode,
+      codeAmount: amountToUse,
+      balance: getTotalCreditForCustomer(customerEmail)
+    });
+    await discardBillingCode(subscriptionId, discountCode, { attached: true });
+    throw new Error(
+      `Balance no longer covers billing code ${discountCode} (${amountToUse})`
+    );
+  }
+
+  for (const { referralId } of result.breakdown) {
+    recordDiscountApplication(referralId, {
+      discountCode,
+      subscriptionIds: [subscriptionId]
+    });
+  }
+  registerDiscountCode({
+    code: discountCode,
+    amount: amountToUse,
+    referralIds: result.breakdown.map((item) => item.referralId),
+    subscriptionIds: [subscriptionId],
+    customerEmail,
+    trigger
+  });
+
+  return {
+    success: true,
+    discountCode,
+    usedCredit: result.used,
+    availableBefore: availableCredit,
+    carriedForward: Math.max(0, availableCredit - result.used),
+    breakdown: result.breakdown
+  };
+}
+
+module.exports = {
+  handleReferralApproved,
+  handleSubscriptionBilling,
+  handleSubscriptionLifecycle,
+  attachCreditToSubscription
+};
@@ -0,0 +1,129 @@
+// src/services/webhookJobs.js
+const { log, error } = require("../utils/logger");
+const {
+  recordDiscountRemoval,
+  reverseReferralCredit
+} = require("./creditService");
+const { removeDiscountCode } = require("./sealClient");
+const { deactivateDiscountCode } = require("./shopifyClient");
+const {
+  handleReferralApproved,
+  handleSubscriptionBilling,
+  handleSubscriptionLifecycle
+} = require("./walletService");
+const { registerJobHandler } = require("./jobQueue");
+
+/**
+ * Job handlers for the webhooks that call out to Seal, Shopify or UpPromote.
+ * The routes persist one of these jobs and answer right away; the job queue
+ * runs (and retries) the work.
+ */
+
+const JOB_TYPES = {
+  referralApproved: "uppromote:referral-approved",
+  referralReversal: "uppromote:referral-reversal",
+  subscriptionBilling: "seal:subscription-billing",
+  subscriptionLifecycle: "seal:subscription-lifecycle"
+};
+
+/**
+ * Seal answers 4xx when the code is not on the subscription (anymore),
+ * typically because a billed order already redeemed it. Retrying won't help.
+ */
+function isPermanentSealError(err) {
+  const status = err.response?.status;
+  return status >= 400 && status < 500;
+}
+
+/**
+ * Undo what referral-approved did for a referral:
+ * 1) claw back unspent credit on the ledger (spent credit becomes a debt)
+ * 2) deactivate the referral's Shopify code(s)
+ * 3) remove the code(s) from Seal subscriptions they are still attached to
+ *
+ * @param {{referralId:string|number, reason:string}} payload
+ */
+async function reverseReferral({ referralId, reason }, { step }) {
+  const reversal = await step("claw-back", () => reverseReferralCredit(referralId, { reason }));
+
+  const outcome = {
+    success: true,
+    referralId,
+    reason,
+    found: reversal.found,
+    tombstoned: !!reversal.tombstoned,
+    alreadyReversed: !!reversal.alreadyReversed,
+    clawedBack: reversal.clawedBack || 0,
+    debt: reversal.debt || 0,
+    deactivatedCodes: [],
+    removedFromSubscriptions: [],
+    errors: []
+  };
+
+  if (!reversal.found || reversal.alreadyReversed) {
+    return outcome;
+  }
+
+  for (const discountCode of reversal.discountCodes) {
+    const result = await step(`shopify-deactivate:${discountCode}`, () =>
+      deactivateDiscountCode(discountCode)
+    );
+    if (result.deactivated) {
+      outcome.deactivatedCodes.push(discountCode);
+    }
+  }
+
+  for (const sub of reversal.subscriptions) {
+    const removal = await step(`seal-remove:${sub.subscriptionId}:${sub.discountCode}`, async () => {
+      try {
+        await removeDiscountCode(sub.subscriptionId, sub.discountCode);
+      } catch (err) {
+        if (!isPermanentSealError(err)) throw err;
+        return { removed: false, error: err.message };
+      }
+      recordDiscountRemoval(sub.referralId, sub.subscriptionId, sub.discountCode);
+      return { removed: true };
+    });
+
+    if (removal.removed) {
+      outcome.removedFromSubscriptions.push(sub.subscriptionId);
+    } else {
+      outcome.errors.push({
+        step: "seal-remove",
+        subscriptionId: sub.subscriptionId,
+        discountCode: sub.discountCode,
+        error: removal.error
+      });
+    }
+  }
+
+  if (outcome.errors.length > 0) {
+    error("[WebhookJobs] Some reversal steps failed", {
+      referralId,
+      reason,
+      errors: outcome.errors
+    });
+  }
+
+  log("[WebhookJobs] Referral reversed", outcome);
+  return outcome;
+}
+
+registerJobHandler(JOB_TYPES.referralApproved, (payload, { step }) =>
+  handleReferralApproved(payload, { step })
+);
+
+registerJobHandler(JOB_TYPES.referralReversal, reverseReferral);
+
+registerJobHandler(JOB_TYPES.subscriptionBilling, async (payload, { step }) => {
+  const { breakdown, ...outcome } = await handleSubscriptionBilling(payload, { step });
+  return outcome;
+});
+
+registerJobHandler(JOB_TYPES.subscriptionLifecycle, (payload, { step }) =>
+  step("lifecycle", () => handleSubscriptionLifecycle(payload))
+);
+
+module.exports = {
+  JOB_TYPES
+};
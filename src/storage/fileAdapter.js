@@ -0,0 +1,45 @@
+// src/storage/fileAdapter.js
+const fs = require("fs");
+const path = require("path");
+const { log } = require("../utils/logger");
+
+/**
+ * File-backed storage adapter.
+ *
+ * The whole state is kept in a single JSON document. Writes go to a
+ * temporary file first and are then renamed over the real file, so a crash
+ * mid-write leaves either the old or the new state on disk – never half of it.
+ * The document is written without indentation: every transaction rewrites
+ * it, so its size is what each write costs.
+ *
+ * @param {string} filePath - absolute or cwd-relative path of the JSON file
+ */
+function createFileAdapter(filePath) {
+  const resolved = path.resolve(filePath);
+
+  function load() {
+    if (!fs.existsSync(resolved)) {
+      log("[Storage] No state file yet, starting empty", { file: resolved });
+      return null;
+    }
+    const raw = fs.readFileSync(resolved, "utf8");
+    return raw.trim() ? JSON.parse(raw) : null;
+  }
+
+  function save(state) {
+    fs.mkdirSync(path.dirname(resolved), { recursive: true });
+    const tmp = `${resolved}.${process.pid}.tmp`;
+    const fd = fs.openSync(tmp, "w");
+    try {
+      fs.writeSync(fd, JSON.stringify(state));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, resolved);
+  }
+
+  return { name: "file", location: resolved, load, save };
+}
+
+module.exports = { createFileAdapter };
@@ -0,0 +1,124 @@
+// src/storage/index.js
+const config = require("../config");
+const { log, error } = require("../utils/logger");
+const { createFileAdapter } = require("./fileAdapter");
+const { createMemoryAdapter } = require("./memoryAdapter");
+const { migrations, LATEST_VERSION } = require("./migrations");
+
+/**
+ * Storage interface used by the services.
+ *
+ * An adapter only has to implement `load()` and `save(state)`; everything
+ * else (migrations, transactions, snapshots) lives here. Services never touch
+ * the adapter directly – they go through `read()` and `transaction()`.
+ */
+function createAdapter() {
+  switch (config.storageDriver) {
+    case "memory":
+      return createMemoryAdapter();
+    case "file":
+      return createFileAdapter(config.storageFile);
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${config.storageDriver}`);
+  }
+}
+
+const adapter = createAdapter();
+let state = null;
+
+function migrate(current) {
+  const next = current || { schemaVersion: 0 };
+  const from = next.schemaVersion || 0;
+
+  if (from > LATEST_VERSION) {
+    throw new Error(
+      `State schema version ${from} is newer than this build supports (${LATEST_VERSION})`,
+    );
+  }
+
+  for (const migration of migrations) {
+    if (migration.version <= from) continue;
+    log("[Storage] Applying migration", {
+      version: migration.version,
+      description: migration.description,
+    });
+    migration.up(next);
+    next.schemaVersion = migration.version;
+  }
+
+  return { state: next, migrated: next.schemaVersion !== from };
+}
+
+function ensureLoaded() {
+  if (state) return state;
+
+  try {
+    const result = migrate(adapter.load());
+    if (result.migrated) {
+      adapter.save(result.state);
+    }
+    state = result.state;
+    log("[Storage] State loaded", {
+      driver: adapter.name,
+      location: adapter.location,
+      schemaVersion: state.schemaVersion,
+    });
+    return state;
+  } catch (err) {
+    error("[Storage] Failed to load state", {
+      driver: adapter.name,
+      location: adapter.location,
+      message: err.message,
+    });
+    throw err;
+  }
+}
+
+/**
+ * Run a read-only query against the current state.
+ * The result is copied so callers can't mutate stored data by accident.
+ *
+ * @template T
+ * @param {(state: Object) => T} fn
+ * @returns {T}
+ */
+function read(fn) {
+  const result = fn(ensureLoaded());
+  return result === undefined ? result : structuredClone(result);
+}
+
+/**
+ * Apply a mutation atomically: `fn` works on a draft copy of the state,
+ * and the draft is persisted and swapped in only if `fn` returns without
+ * throwing. Callbacks must be synchronous – no awaiting inside a transaction.
+ *
+ * @template T
+ * @param {(draft: Object) => T} fn
+ * @returns {T}
+ */
+function transaction(fn) {
+  const draft = structuredClone(ensureLoaded());
+  const result = fn(draft);
+
+  if (result && typeof result.then === "function") {
+    throw new Error("Storage transactions must be synchronous");
+  }
+
+  adapter.save(draft);
+  state = draft;
+  return result === undefined ? result : structuredClone(result);
+}
+
+/**
+ * Load (and migrate) the state eagerly. Called once at startup so a corrupt
+ * or too-new state file stops the process before it accepts webhooks.
+ */
+function init() {
+  ensureLoaded();
+}
+
+module.exports = {
+  init,
+  read,
+  transaction,
+};
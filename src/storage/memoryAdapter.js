@@ -0,0 +1,20 @@
+// src/storage/memoryAdapter.js
+
+/**
+ * Non-persistent storage adapter. State lives only as long as the process,
+ * which matches the old in-memory Maps – useful for local experiments.
+ */
+function createMemoryAdapter() {
+  let snapshot = null;
+
+  return {
+    name: "memory",
+    location: "memory",
+    load: () => snapshot,
+    save: (state) => {
+      snapshot = state;
+    },
+  };
+}
+
+module.exports = { createMemoryAdapter };
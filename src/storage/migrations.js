@@ -0,0 +1,156 @@
+// src/storage/migrations.js
+const { normalizeEmail } = require("../utils/email");
+
+/**
+ * Ordered schema migrations for the persisted state.
+ *
+ * Each migration receives the mutable state and brings it from
+ * `version - 1` to `version`. Never edit a migration that has shipped –
+ * append a new one instead, so existing state files upgrade in place.
+ */
+const migrations = [
+  {
+    version: 1,
+    description: "Credit ledger: referrals, customer index and ledger entries",
+    up(state) {
+      // referralId -> referral credit record
+      state.referrals = state.referrals || {};
+      // customerEmail -> [referralId]
+      state.customers = state.customers || {};
+      // Append-only list of credit movements
+      state.entries = state.entries || [];
+    },
+  },
+  {
+    version: 2,
+    description: "Processed webhook events registry for idempotent deliveries",
+    up(state) {
+      // "<topic>:<eventId>" -> { status, payloadHash, outcome, ... }
+      state.processedEvents = state.processedEvents || {};
+    },
+  },
+  {
+    version: 3,
+    description: "Outbox of UpPromote commission adjustments awaiting delivery",
+    up(state) {
+      // [{ id, referralId, amount, status, attempts, nextAttemptAt, ... }]
+      state.outbox = state.outbox || [];
+    },
+  },
+  {
+    version: 4,
+    description: "Referral status, original commission and discount tracking",
+    up(state) {
+      for (const rec of Object.values(state.referrals)) {
+        if (rec.commission === undefined) rec.commission = rec.remainingCommission;
+        rec.status = rec.status || "active";
+        rec.discountCodes = rec.discountCodes || [];
+        rec.subscriptions = rec.subscriptions || [];
+      }
+    },
+  },
+  {
+    version: 5,
+    description: "Manual credit grants and append-only audit log",
+    up(state) {
+      for (const rec of Object.values(state.referrals)) {
+        rec.source = rec.source || "referral";
+        if (rec.upPromoteReferralId === undefined) {
+          rec.upPromoteReferralId = rec.referralId;
+        }
+      }
+      // [{ id, at, operator, action, customerEmail, amount, reason, ... }]
+      state.auditLog = state.auditLog || [];
+    },
+  },
+  {
+    version: 6,
+    description: "Discount code registry with Shopify redemption tracking",
+    up(state) {
+      // code -> { code, amount, referralIds, subscriptionIds, redemptions, ... }
+      state.discountCodes = state.discountCodes || {};
+    },
+  },
+  {
+    version: 7,
+    description: "Shopify node ID and expiry on registered discount codes",
+    up(state) {
+      for (const rec of Object.values(state.discountCodes)) {
+        if (rec.nodeId === undefined) rec.nodeId = null;
+        // Codes minted before expiry existed have no endsAt in Shopify; the
+        // cleanup worker derives their expiry from createdAt
+        if (rec.expiresAt === undefined) rec.expiresAt = null;
+      }
+    },
+  },
+  {
+    version: 8,
+    description: "Normalized customer emails and affiliate identity links",
+    up(state) {
+      // Re-key customers by normalized email, merging spellings of one mailbox
+      const customers = {};
+      for (const [email, ids] of Object.entries(state.customers)) {
+        const key = normalizeEmail(email) || email;
+        customers[key] = customers[key] || [];
+        for (const id of ids) {
+          if (!customers[key].some((existing) => String(existing) === String(id))) {
+            customers[key].push(id);
+          }
+        }
+      }
+      state.customers = customers;
+
+      for (const rec of Object.values(state.referrals)) {
+        rec.customerEmail = normalizeEmail(rec.customerEmail) || rec.customerEmail;
+      }
+      for (const entry of state.entries) {
+        if (entry.customerEmail) {
+          entry.customerEmail = normalizeEmail(entry.customerEmail) || entry.customerEmail;
+        }
+      }
+      for (const rec of Object.values(state.discountCodes)) {
+        if (rec.customerEmail) {
+          rec.customerEmail = normalizeEmail(rec.customerEmail) || rec.customerEmail;
+        }
+      }
+
+      // affiliateId -> { affiliateId, affiliateEmail, emails: [...] }
+      state.identityLinks = state.identityLinks || {};
+    },
+  },
+  {
+    version: 9,
+    description: "Credit recipient (affiliate or referred customer) on referral records",
+    up(state) {
+      for (const rec of Object.values(state.referrals)) {
+        if (rec.source !== "referral" || rec.recipient) continue;
+        // Older referrals went to whichever email the payload had; it was the
+        // affiliate's when it matches their UpPromote email
+        const affiliate = normalizeEmail(rec.affiliateEmail);
+        rec.recipient = affiliate && affiliate === rec.customerEmail ? "affiliate" : "customer";
+        rec.recipientSource = rec.recipientSource || null;
+        rec.attribution = rec.attribution || null;
+      }
+    },
+  },
+  {
+    version: 10,
+    description: "Job queue for asynchronous webhook processing",
+    up(state) {
+      // [{ id, type, payload, status, steps, attempts, nextAttemptAt, ... }]
+      state.jobs = state.jobs || [];
+    },
+  },
+  {
+    version: 11,
+    description: "Tombstones for referrals reversed before their approval arrived",
+    up(state) {
+      // UpPromote referralId -> { reason, reversedAt }
+      state.reversedReferrals = state.reversedReferrals || {};
+    },
+  },
+];
+
+const LATEST_VERSION = migrations[migrations.length - 1].version;
+
+module.exports = { migrations, LATEST_VERSION };
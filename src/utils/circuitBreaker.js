@@ -0,0 +1,208 @@
+// src/utils/circuitBreaker.js
+const config = require("../config");
+const { log, error } = require("./logger");
+
+/**
+ * Per-provider circuit breakers (Seal, Shopify, UpPromote).
+ *
+ * After CIRCUIT_FAILURE_THRESHOLD consecutive failures (network errors,
+ * timeouts, 5xx) a provider's circuit opens: its calls fail immediately
+ * with a CircuitOpenError instead of waiting for the timeout, and the job
+ * queue / outbox park work that needs it. After CIRCUIT_OPEN_MS the circuit
+ * goes half-open and a single probe is let through – the provider's probe
+ * request if one was registered, otherwise the next real call. A successful
+ * probe closes the circuit and wakes whatever was parked; a failed one opens
+ * it again.
+ *
+ * State: closed -> open -> half-open -> closed | open
+ */
+
+const breakers = {};
+const closeListeners = [];
+
+class CircuitOpenError extends Error {
+  constructor(provider, retryAt) {
+    super(`${provider} circuit is open, call skipped`);
+    this.name = "CircuitOpenError";
+    this.code = "ECIRCUITOPEN";
+    this.circuitOpen = true;
+    this.provider = provider;
+    this.retryAt = retryAt;
+  }
+}
+
+function getBreaker(provider) {
+  if (!breakers[provider]) {
+    breakers[provider] = {
+      provider,
+      state: "closed",
+      failures: 0,
+      openedAt: null,
+      retryAt: null,
+      probeInFlight: false,
+      probe: null,
+      probeTimer: null,
+      lastFailure: null,
+      opens: 0,
+    };
+  }
+  return breakers[provider];
+}
+
+function open(breaker, reason) {
+  breaker.state = "open";
+  breaker.openedAt = new Date().toISOString();
+  breaker.retryAt = Date.now() + config.circuitOpenMs;
+  breaker.probeInFlight = false;
+  breaker.opens += 1;
+  error(`[Circuit] ${breaker.provider} circuit opened`, {
+    failures: breaker.failures,
+    retryAt: new Date(breaker.retryAt).toISOString(),
+    reason,
+  });
+  scheduleProbe(breaker);
+}
+
+function close(breaker) {
+  const wasOpen = breaker.state !== "closed";
+  breaker.state = "closed";
+  breaker.failures = 0;
+  breaker.openedAt = null;
+  breaker.retryAt = null;
+  breaker.probeInFlight = false;
+  if (breaker.probeTimer) {
+    clearTimeout(breaker.probeTimer);
+    breaker.probeTimer = null;
+  }
+  if (!wasOpen) return;
+
+  log(`[Circuit] ${breaker.provider} circuit closed, resuming`);
+  for (const listener of closeListeners) {
+    try {
+      listener(breaker.provider);
+    } catch (err) {
+      error("[Circuit] Close listener failed", { provider: breaker.provider, message: err.message });
+    }
+  }
+}
+
+/**
+ * Run the registered probe once the open period is over.
+ */
+function scheduleProbe(breaker) {
+  if (!breaker.probe || breaker.probeTimer) return;
+  breaker.probeTimer = setTimeout(async () => {
+    breaker.probeTimer = null;
+    if (breaker.state !== "open") return;
+    breaker.state = "half-open";
+    breaker.probeInFlight = true;
+    try {
+      await breaker.probe();
+      close(breaker);
+    } catch (err) {
+      // A probe sent through the HTTP client has already re-opened it
+      if (breaker.state !== "half-open") return;
+      breaker.lastFailure = { at: new Date().toISOString(), message: err.message };
+      open(breaker, `probe failed: ${err.message}`);
+    }
+  }, Math.max(0, breaker.retryAt - Date.now()));
+  breaker.probeTimer.unref();
+}
+
+/**
+ * Register a cheap request that checks whether the provider is back.
+ *
+ * @param {string} provider
+ * @param {function(): Promise<any>} probe - rejects while the provider is down
+ */
+function registerProbe(provider, probe) {
+  getBreaker(provider).probe = probe;
+}
+
+/**
+ * Called before every request. Throws a CircuitOpenError while the circuit
+ * is open; in half-open state only the probe gets through.
+ *
+ * @param {string} provider
+ * @param {Object} [options]
+ * @param {boolean} [options.probe] - the request is the probe itself
+ */
+function beforeRequest(provider, { probe = false } = {}) {
+  const breaker = getBreaker(provider);
+  if (breaker.state === "closed" || probe) return;
+
+  if (breaker.state === "open" && Date.now() >= breaker.retryAt && !breaker.probe) {
+    // No probe registered: this call is the probe
+    breaker.state = "half-open";
+    breaker.probeInFlight = true;
+    return;
+  }
+  throw new CircuitOpenError(provider, breaker.retryAt);
+}
+
+function recordSuccess(provider) {
+  const breaker = getBreaker(provider);
+  if (breaker.state === "closed") {
+    breaker.failures = 0;
+    return;
+  }
+  close(breaker);
+}
+
+function recordFailure(provider, err) {
+  const breaker = getBreaker(provider);
+  breaker.failures += 1;
+  breaker.lastFailure = { at: new Date().toISOString(), message: err.message };
+
+  if (breaker.state === "half-open") {
+    open(breaker, `probe failed: ${err.message}`);
+  } else if (breaker.state === "closed" && breaker.failures >= config.circuitFailureThreshold) {
+    open(breaker, err.message);
+  }
+}
+
+/**
+ * Whether calls to a provider may be made (closed, or due for a probe).
+ */
+function isProviderAvailable(provider) {
+  const breaker = breakers[provider];
+  if (!breaker || breaker.state === "closed") return true;
+  return breaker.state === "open" && !breaker.probe && Date.now() >= breaker.retryAt;
+}
+
+/**
+ * @param {function(string)} listener - called with the provider whose circuit closed
+ */
+function onCircuitClose(listener) {
+  closeListeners.push(listener);
+}
+
+/**
+ * @returns {Object<string, Object>} state per provider
+ */
+function getCircuitStates() {
+  const out = {};
+  for (const [provider, b] of Object.entries(breakers)) {
+    out[provider] = {
+      state: b.state,
+      failures: b.failures,
+      openedAt: b.openedAt,
+      retryAt: b.retryAt ? new Date(b.retryAt).toISOString() : null,
+      opens: b.opens,
+      lastFailure: b.lastFailure,
+    };
+  }
+  return out;
+}
+
+module.exports = {
+  CircuitOpenError,
+  getBreaker,
+  registerProbe,
+  beforeRequest,
+  recordSuccess,
+  recordFailure,
+  isProviderAvailable,
+  onCircuitClose,
+  getCircuitStates,
+};
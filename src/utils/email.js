@@ -0,0 +1,60 @@
+// src/utils/email.js
+
+// Gmail ignores dots in the local part, and googlemail.com is an alias
+const GMAIL_DOMAINS = ["gmail.com", "googlemail.com"];
+
+// Providers that deliver jane+shop@ to jane@. Elsewhere a +tag may be part
+// of a different mailbox, so it is kept; link such addresses to one
+// affiliate through the identity links instead.
+const PLUS_ADDRESSING_DOMAINS = [
+  ...GMAIL_DOMAINS,
+  "outlook.com",
+  "hotmail.com",
+  "live.com",
+  "icloud.com",
+  "me.com",
+  "fastmail.com",
+  "proton.me",
+  "protonmail.com"
+];
+
+/**
+ * Canonical form of an email address, used as the ledger key so the same
+ * mailbox written differently maps to one customer:
+ * - trimmed and lower-cased
+ * - plus-addressing dropped for providers known to support it
+ *   (jane+shop@gmail.com -> jane@gmail.com, but jane+shop@x.com is kept)
+ * - Gmail dots dropped (j.a.n.e@gmail.com -> jane@gmail.com)
+ *
+ * @param {string} email
+ * @returns {string|null} null for empty input
+ */
+function normalizeEmail(email) {
+  if (typeof email !== "string") return null;
+  const trimmed = email.trim().toLowerCase();
+  if (!trimmed) return null;
+
+  const at = trimmed.lastIndexOf("@");
+  if (at <= 0 || at === trimmed.length - 1) return trimmed;
+
+  let local = trimmed.slice(0, at);
+  let domain = trimmed.slice(at + 1);
+  if (PLUS_ADDRESSING_DOMAINS.includes(domain)) {
+    local = local.split("+")[0];
+  }
+  if (GMAIL_DOMAINS.includes(domain)) {
+    local = local.replace(/\./g, "");
+    domain = "gmail.com";
+  }
+  return `${local}@${domain}`;
+}
+
+/**
+ * Whether two addresses reach the same mailbox (after normalization).
+ */
+function sameEmail(a, b) {
+  const na = normalizeEmail(a);
+  return !!na && na === normalizeEmail(b);
+}
+
+module.exports = { normalizeEmail, sameEmail };
@@ -0,0 +1,329 @@
+// src/utils/httpClient.js
+const axios = require("axios");
+const config = require("../config");
+const { log, error } = require("./logger");
+const {
+  getBreaker,
+  beforeRequest,
+  recordSuccess,
+  recordFailure,
+} = require("./circuitBreaker");
+
+/**
+ * Shared HTTP client layer for the Seal, Shopify and UpPromote APIs.
+ *
+ * createHttpClient() returns a regular axios instance with:
+ * - retries with jittered exponential backoff (HTTP_MAX_RETRIES) for
+ *   network errors, timeouts and 5xx on idempotent calls only: GET, HEAD,
+ *   PUT, DELETE and GraphQL queries. Mutations and other POSTs are never
+ *   retried here, except on 429 (the request was not processed).
+ * - 429 / 503 with Retry-After: the wait the provider asked for. Longer
+ *   waits than HTTP_RETRY_MAX_DELAY_MS fail fast instead; the outbox and job
+ *   queue retry later.
+ * - X-RateLimit-Remaining / X-RateLimit-Reset: requests pause until the
+ *   reset once the budget is used up.
+ * - Shopify GraphQL cost throttling (`graphql: true`): the bucket reported
+ *   in `extensions.cost.throttleStatus` is tracked and requests wait until
+ *   it has refilled enough; THROTTLED responses are retried.
+ * - a circuit breaker per provider (see circuitBreaker.js): while it is open
+ *   calls fail right away with a CircuitOpenError. Only calls that failed
+ *   for good (after retries) with a network error, timeout or 5xx count.
+ *
+ * A request can opt in or out of retries with `{ idempotent: true|false }`;
+ * `{ probe: true }` marks the circuit breaker's probe request.
+ * Latency and error counts per provider are available from getHttpMetrics().
+ */
+
+const RETRYABLE_STATUS = [500, 502, 503, 504];
+const IDEMPOTENT_METHODS = ["get", "head", "options", "put", "delete"];
+// Latency samples kept per provider for percentiles
+const LATENCY_SAMPLES = 200;
+
+const metrics = {};
+
+function metricsFor(provider) {
+  if (!metrics[provider]) {
+    metrics[provider] = {
+      requests: 0,
+      errors: 0,
+      retries: 0,
+      throttled: 0,
+      statusCounts: {},
+      latencies: [],
+      totalLatencyMs: 0,
+      maxLatencyMs: 0,
+      lastError: null,
+    };
+  }
+  return metrics[provider];
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+/**
+ * Full-jitter backoff: a random delay up to base * 2^attempt.
+ */
+function backoffDelay(attempt) {
+  const ceiling = Math.min(
+    config.httpRetryBaseDelayMs * 2 ** attempt,
+    config.httpRetryMaxDelayMs,
+  );
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Retry-After as milliseconds (delta-seconds or an HTTP date), or null.
+ */
+function retryAfterMs(headers) {
+  const value = headers?.["retry-after"];
+  if (value === undefined || value === null || value === "") return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+/**
+ * X-RateLimit-Reset as an absolute ms timestamp. Providers send either
+ * epoch seconds or seconds until the reset.
+ */
+function rateLimitResetAt(headers) {
+  const reset = Number(headers?.["x-ratelimit-reset"]);
+  if (!Number.isFinite(reset) || reset <= 0) return null;
+  return reset > 1e9 ? reset * 1000 : Date.now() + reset * 1000;
+}
+
+function graphqlOperation(data) {
+  let body = data;
+  if (typeof body === "string") {
+    try {
+      body = JSON.parse(body);
+    } catch (err) {
+      return null;
+    }
+  }
+  return typeof body?.query === "string" ? body.query.trim() : null;
+}
+
+function isIdempotent(req, graphql) {
+  const method = (req.method || "get").toLowerCase();
+  if (IDEMPOTENT_METHODS.includes(method)) return true;
+  if (!graphql) return false;
+  const operation = graphqlOperation(req.data);
+  return !!operation && (operation.startsWith("query") || operation.startsWith("{"));
+}
+
+function isGraphqlThrottled(res) {
+  return (res.data?.errors || []).some((e) => e.extensions?.code === "THROTTLED");
+}
+
+/**
+ * @param {Object} options - axios.create options, plus:
+ * @param {string} options.provider - metrics / log name, e.g. "seal"
+ * @param {boolean} [options.graphql=false] - Shopify GraphQL cost handling
+ * @returns {import("axios").AxiosInstance}
+ */
+function createHttpClient({ provider, graphql = false, ...axiosOptions }) {
+  const client = axios.create(axiosOptions);
+  const stats = metricsFor(provider);
+  // Listed (closed) in the circuit states from the start
+  getBreaker(provider);
+  // Earliest time the next request may go out (rate limits)
+  let pausedUntil = 0;
+  // Last Shopify cost bucket: { available, maximum, restoreRate, requested, at }
+  let bucket = null;
+
+  function pauseUntil(time) {
+    if (time > pausedUntil) pausedUntil = time;
+  }
+
+  function graphqlWaitMs() {
+    if (!bucket || !bucket.restoreRate) return 0;
+    const elapsed = (Date.now() - bucket.at) / 1000;
+    const available = Math.min(bucket.maximum, bucket.available + elapsed * bucket.restoreRate);
+    if (available >= bucket.requested) return 0;
+    return Math.ceil(((bucket.requested - available) / bucket.restoreRate) * 1000);
+  }
+
+  function recordCost(res) {
+    const cost = res.data?.extensions?.cost;
+    const status = cost?.throttleStatus;
+    if (!status) return;
+    bucket = {
+      available: status.currentlyAvailable,
+      maximum: status.maximumAvailable,
+      restoreRate: status.restoreRate,
+      requested: cost.requestedQueryCost || 0,
+      at: Date.now(),
+    };
+  }
+
+  function recordRateLimitHeaders(headers) {
+    if (String(headers?.["x-ratelimit-remaining"]) !== "0") return;
+    const resetAt = rateLimitResetAt(headers);
+    if (resetAt) pauseUntil(resetAt);
+  }
+
+  function recordAttempt(req, status, failed) {
+    const latency = Date.now() - (req.startedAt || Date.now());
+    stats.requests += 1;
+    stats.statusCounts[status] = (stats.statusCounts[status] || 0) + 1;
+    stats.totalLatencyMs += latency;
+    stats.maxLatencyMs = Math.max(stats.maxLatencyMs, latency);
+    stats.latencies.push(latency);
+    if (stats.latencies.length > LATENCY_SAMPLES) stats.latencies.shift();
+    if (failed) stats.errors += 1;
+  }
+
+  /**
+   * Send the request again after `delayMs`, or give up (null) when out of
+   * retries or the wait is too long.
+   */
+  async function retry(req, delayMs, reason) {
+    const attempt = req.retryCount || 0;
+    if (attempt >= config.httpMaxRetries || delayMs > config.httpRetryMaxDelayMs) {
+      return null;
+    }
+    req.retryCount = attempt + 1;
+    stats.retries += 1;
+    log(`[Http] Retrying ${provider} request`, {
+      method: req.method,
+      url: req.url,
+      attempt: req.retryCount,
+      delayMs,
+      reason,
+    });
+    await sleep(delayMs);
+    return client.request(req);
+  }
+
+  client.interceptors.request.use(async (req) => {
+    beforeRequest(provider, { probe: !!req.probe });
+
+    if (req.idempotent === undefined) {
+      req.idempotent = isIdempotent(req, graphql);
+    }
+
+    const wait = Math.max(pausedUntil - Date.now(), graphql ? graphqlWaitMs() : 0);
+    if (wait > 0) {
+      log(`[Http] Waiting for ${provider} rate limit`, { waitMs: wait, url: req.url });
+      await sleep(wait);
+    }
+
+    req.startedAt = Date.now();
+    return req;
+  });
+
+  client.interceptors.response.use(
+    async (res) => {
+      recordRateLimitHeaders(res.headers);
+      if (graphql) recordCost(res);
+
+      if (graphql && isGraphqlThrottled(res)) {
+        // Nothing was executed, so even mutations can be sent again
+        recordAttempt(res.config, "throttled", true);
+        stats.throttled += 1;
+        const retried = await retry(
+          res.config,
+          graphqlWaitMs() || backoffDelay(res.config.retryCount || 0),
+          "graphql-throttled",
+        );
+        return retried || res;
+      }
+
+      recordAttempt(res.config, res.status, false);
+      recordSuccess(provider);
+      return res;
+    },
+    async (err) => {
+      const req = err.config;
+      if (!req || err.circuitOpen) throw err;
+
+      const status = err.response?.status;
+      recordAttempt(req, status || err.code || "network", true);
+      stats.lastError = {
+        at: new Date().toISOString(),
+        status: status || null,
+        code: err.code || null,
+        message: err.message,
+        url: req.url,
+      };
+      recordRateLimitHeaders(err.response?.headers);
+
+      const retryAfter = retryAfterMs(err.response?.headers);
+      let retried = null;
+      if (status === 429) {
+        stats.throttled += 1;
+        const delay = retryAfter ?? backoffDelay(req.retryCount || 0);
+        pauseUntil(Date.now() + delay);
+        retried = await retry(req, delay, "rate-limited");
+      } else if (req.idempotent && (!status || RETRYABLE_STATUS.includes(status))) {
+        retried = await retry(
+          req,
+          retryAfter ?? backoffDelay(req.retryCount || 0),
+          status ? `status-${status}` : err.code || "network-error",
+        );
+      }
+
+      if (retried) return retried;
+
+      if (!status || status >= 500) {
+        recordFailure(provider, err);
+      } else if (status !== 429) {
+        // The provider answered (e.g. 404 / 422), so it is up
+        recordSuccess(provider);
+      }
+      if (req.retryCount) {
+        error(`[Http] ${provider} request failed after retries`, {
+          method: req.method,
+          url: req.url,
+          retries: req.retryCount,
+          status: status || null,
+          message: err.message,
+        });
+      }
+      throw err;
+    },
+  );
+
+  return client;
+}
+
+/**
+ * Request, error and latency counters per provider.
+ *
+ * @returns {Object<string, Object>}
+ */
+function getHttpMetrics() {
+  const out = {};
+  for (const [provider, stats] of Object.entries(metrics)) {
+    const sorted = [...stats.latencies].sort((a, b) => a - b);
+    out[provider] = {
+      requests: stats.requests,
+      errors: stats.errors,
+      retries: stats.retries,
+      throttled: stats.throttled,
+      statusCounts: { ...stats.statusCounts },
+      latencyMs: {
+        avg: stats.requests ? Math.round(stats.totalLatencyMs / stats.requests) : null,
+        p50: percentile(sorted, 50),
+        p95: percentile(sorted, 95),
+        max: stats.maxLatencyMs,
+      },
+      lastError: stats.lastError,
+    };
+  }
+  return out;
+}
+
+module.exports = {
+  createHttpClient,
+  getHttpMetrics,
+};
@@ -0,0 +1,55 @@
+// src/utils/webhookSignature.js
+const crypto = require("crypto");
+
+/**
+ * HMAC-SHA256 of a raw request body.
+ *
+ * @param {string} secret
+ * @param {Buffer|string} rawBody
+ * @param {"hex"|"base64"} encoding
+ * @returns {string}
+ */
+function computeHmac(secret, rawBody, encoding = "hex") {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(rawBody || "")
+    .digest(encoding);
+}
+
+/**
+ * Constant-time string comparison (false for different lengths).
+ */
+function safeEqual(received, expected) {
+  const a = Buffer.from(String(received), "utf8");
+  const b = Buffer.from(String(expected), "utf8");
+
+  if (a.length !== b.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Check a received signature against the HMAC of the raw body.
+ *
+ * @param {Object} params
+ * @param {string} params.secret
+ * @param {Buffer|string} params.rawBody
+ * @param {string} params.received - signature from the request header
+ * @param {Array<"hex"|"base64">} [params.encodings] - accepted digest encodings
+ * @returns {boolean}
+ */
+function verifyHmacSignature({ secret, rawBody, received, encodings = ["hex"] }) {
+  if (!secret || !received) {
+    return false;
+  }
+  return encodings.some((encoding) =>
+    safeEqual(received, computeHmac(secret, rawBody, encoding)),
+  );
+}
+
+module.exports = {
+  computeHmac,
+  safeEqual,
+  verifyHmacSignature,
+};
@@ -0,0 +1,62 @@
+// test/approvalSpend.test.js
+const { uniqueEmail } = require("./support");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const config = require("../src/config");
+const {
+  storeReferralCredit,
+  getTotalCreditForCustomer,
+  getReferralCredit,
+  consumeReferralCredit
+} = require("../src/services/creditService");
+const { handleReferralApproved } = require("../src/services/walletService");
+const {
+  getDiscountCode,
+  registerDiscountCode
+} = require("../src/services/discountCodeRegistry");
+
+let nextId = 3000;
+
+test.before(() => {
+  config.creditSpendMode = "approval";
+});
+test.after(() => {
+  config.creditSpendMode = "billing";
+});
+
+function approvalPayload(commission) {
+  nextId += 1;
+  return { id: nextId, commission, customer_email: uniqueEmail() };
+}
+
+test("a retried spend does not consume the reused code again", async () => {
+  const payload = approvalPayload(100);
+
+  const first = await handleReferralApproved(payload);
+  const retry = await handleReferralApproved(payload);
+
+  assert.equal(first.usedCredit, 30);
+  assert.equal(retry.usedCredit, 0);
+  assert.equal(retry.discountCode, first.discountCode);
+  assert.equal(getTotalCreditForCustomer(payload.customer_email), 70);
+  assert.equal(getDiscountCode(first.discountCode).amount, 30);
+
+  const open = getReferralCredit(payload.id).subscriptions.filter((s) => !s.removedAt);
+  assert.equal(open.length, 1);
+});
+
+test("a retried spend consumes only what the reused code still lacks", async () => {
+  const payload = approvalPayload(100);
+  const code = "AFFILIATE-PARTIAL";
+  // The first attempt minted a $30 code but only $20 reached the ledger
+  storeReferralCredit(payload);
+  registerDiscountCode({ code, amount: 30, referralIds: [payload.id], mintedFor: payload.id });
+  consumeReferralCredit(payload.id, 20, { discountCode: code });
+
+  const retry = await handleReferralApproved(payload);
+
+  assert.equal(retry.usedCredit, 10);
+  assert.equal(getTotalCreditForCustomer(payload.customer_email), 70);
+  assert.equal(getDiscountCode(code).amount, 30);
+});
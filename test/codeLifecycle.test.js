@@ -0,0 +1,44 @@
+// test/codeLifecycle.test.js
+const { uniqueEmail } = require("./support");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  storeReferralCredit,
+  consumeReferralCredit,
+  getTotalCreditForCustomer,
+  withCustomerLock
+} = require("../src/services/creditService");
+const {
+  registerDiscountCode,
+  getDiscountCode
+} = require("../src/services/discountCodeRegistry");
+const { sweepCodes } = require("../src/services/codeLifecycle");
+
+test("the sweep returns an expired code's credit only once the account's lock is free", async () => {
+  const email = uniqueEmail();
+  storeReferralCredit({ id: 5001, commission: 50, customer_email: email });
+  consumeReferralCredit(5001, 20, { discountCode: "AFFILIATE-EXPIRED" });
+  registerDiscountCode({
+    code: "AFFILIATE-EXPIRED",
+    amount: 20,
+    referralIds: [5001],
+    customerEmail: email,
+    expiresAt: new Date(Date.now() - 60 * 1000).toISOString()
+  });
+
+  let releaseSpend;
+  const spend = withCustomerLock(email, () => new Promise((resolve) => {
+    releaseSpend = resolve;
+  }));
+  const sweep = sweepCodes();
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(getTotalCreditForCustomer(email), 30);
+
+  releaseSpend();
+  await spend;
+  const [outcome] = await sweep;
+  assert.equal(outcome.returned, 20);
+  assert.equal(getDiscountCode("AFFILIATE-EXPIRED").status, "expired");
+  assert.equal(getTotalCreditForCustomer(email), 50);
+});
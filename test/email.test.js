@@ -0,0 +1,22 @@
+// test/email.test.js
+require("./support");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { normalizeEmail, sameEmail } = require("../src/utils/email");
+
+test("plus-addressing is dropped only for providers that support it", () => {
+  assert.equal(normalizeEmail(" Jane+Shop@Gmail.com "), "jane@gmail.com");
+  assert.equal(normalizeEmail("jane+shop@outlook.com"), "jane@outlook.com");
+  assert.equal(normalizeEmail("jane+shop@x.com"), "jane+shop@x.com");
+
+  assert.equal(sameEmail("jane+shop@gmail.com", "jane@gmail.com"), true);
+  assert.equal(sameEmail("jane+shop@x.com", "jane@x.com"), false);
+  assert.equal(sameEmail("Jane@X.com", "jane@x.com"), true);
+});
+
+test("dots are dropped only for Gmail addresses", () => {
+  assert.equal(normalizeEmail("j.a.n.e@googlemail.com"), "jane@gmail.com");
+  assert.equal(normalizeEmail("j.ane@x.com"), "j.ane@x.com");
+  assert.equal(sameEmail("j.ane@x.com", "jane@x.com"), false);
+});
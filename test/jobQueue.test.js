@@ -0,0 +1,80 @@
+// test/jobQueue.test.js
+require("./support");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const config = require("../src/config");
+const store = require("../src/storage");
+const { claimEvent, getEvent } = require("../src/services/eventRegistry");
+const {
+  registerJobHandler,
+  addJob,
+  processJobs,
+  retryJob,
+  getJob
+} = require("../src/services/jobQueue");
+
+const TOPIC = "test:event";
+let failing = true;
+
+registerJobHandler("test:job", async () => {
+  if (failing) throw new Error("provider down");
+  return { success: true };
+});
+
+function deliver(eventId) {
+  return claimEvent({
+    topic: TOPIC,
+    eventId,
+    payloadHash: "hash",
+    onClaim: (state) =>
+      addJob(state, { type: "test:job", payload: {}, event: { topic: TOPIC, eventId } })
+  });
+}
+
+test.beforeEach(() => {
+  config.jobMaxAttempts = 1;
+  failing = true;
+});
+
+test("a dead-lettered job marks its event failed and a new delivery claims it again", async () => {
+  const first = deliver("evt-1");
+  await processJobs();
+
+  assert.equal(getJob(first.created.id).status, "dead");
+  const failed = getEvent(TOPIC, "evt-1");
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.lastError, "provider down");
+
+  failing = false;
+  const second = deliver("evt-1");
+  assert.equal(second.claimed, true);
+  await processJobs();
+
+  assert.equal(getJob(second.created.id).status, "completed");
+  assert.equal(getEvent(TOPIC, "evt-1").status, "completed");
+
+  // The old job was superseded by the new delivery's job
+  assert.throws(() => retryJob(first.created.id), (err) => err.superseded === true);
+  assert.equal(getJob(first.created.id).status, "dead");
+});
+
+test("an operator retry reopens the failed event and completes it", async () => {
+  const first = deliver("evt-2");
+  await processJobs();
+  assert.equal(getEvent(TOPIC, "evt-2").status, "failed");
+
+  failing = false;
+  assert.equal(retryJob(first.created.id).status, "pending");
+  assert.equal(getEvent(TOPIC, "evt-2").status, "processing");
+
+  // A delivery while the retry runs is a duplicate again
+  assert.equal(deliver("evt-2").claimed, false);
+  await processJobs();
+
+  assert.equal(getJob(first.created.id).status, "completed");
+  assert.equal(getEvent(TOPIC, "evt-2").status, "completed");
+  store.read((state) => {
+    assert.equal(state.jobs.filter((job) => job.event?.eventId === "evt-2").length, 1);
+  });
+});
@@ -0,0 +1,92 @@
+// test/locks.test.js
+const { uniqueEmail } = require("./support");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const config = require("../src/config");
+const { withLock } = require("../src/locks");
+const {
+  storeReferralCredit,
+  getTotalCreditForCustomer,
+  withCustomerLock,
+  reverseReferralCredit,
+  grantCredit,
+  revokeCredit
+} = require("../src/services/creditService");
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((r) => {
+    resolve = r;
+  });
+  return { promise, resolve };
+}
+
+test("waiters get the lock in arrival order", async () => {
+  const order = [];
+  const gate = deferred();
+
+  const first = withLock("order-test", async () => {
+    await gate.promise;
+    order.push("first");
+  });
+  const second = withLock("order-test", async () => order.push("second"));
+  const third = withLock("order-test", async () => order.push("third"));
+  // Another key is not held up by this one
+  await withLock("order-test-other", async () => order.push("other"));
+
+  gate.resolve();
+  await Promise.all([first, second, third]);
+  assert.deepEqual(order, ["other", "first", "second", "third"]);
+});
+
+test("a waiter times out with ELOCKTIMEOUT and leaves the queue", async () => {
+  const gate = deferred();
+  const holder = withLock("timeout-test", () => gate.promise);
+
+  await assert.rejects(
+    withLock("timeout-test", () => "never", { timeoutMs: 20 }),
+    (err) => err.code === "ELOCKTIMEOUT"
+  );
+
+  gate.resolve();
+  await holder;
+  // The timed-out waiter must not hold the lock up for the next caller
+  assert.equal(await withLock("timeout-test", () => "next", { timeoutMs: 20 }), "next");
+});
+
+test("a failing holder still releases the lock", async () => {
+  await assert.rejects(
+    withLock("error-test", async () => {
+      throw new Error("boom");
+    }),
+    /boom/
+  );
+  assert.equal(await withLock("error-test", () => "free", { timeoutMs: 20 }), "free");
+});
+
+test("the default timeout outlasts a fully retried provider call", () => {
+  const worstCallMs =
+    (config.httpMaxRetries + 1) * 20000 + config.httpMaxRetries * config.httpRetryMaxDelayMs;
+  assert.ok(config.lockTimeoutMs > worstCallMs);
+});
+
+test("reversals, grants and revocations wait for a spend holding the account's lock", async () => {
+  const email = uniqueEmail();
+  storeReferralCredit({ id: 4001, commission: 50, customer_email: email });
+  const gate = deferred();
+  const spend = withCustomerLock(email, () => gate.promise);
+
+  const changes = Promise.all([
+    reverseReferralCredit(4001, { reason: "denied" }),
+    grantCredit({ customerEmail: email, amount: 20, reason: "goodwill", operator: "ops" }),
+    revokeCredit({ customerEmail: email, amount: 5, reason: "mistake", operator: "ops" })
+  ]);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(getTotalCreditForCustomer(email), 50);
+
+  gate.resolve();
+  await spend;
+  await changes;
+  assert.equal(getTotalCreditForCustomer(email), 15);
+});
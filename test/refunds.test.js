@@ -0,0 +1,83 @@
+// test/refunds.test.js
+const { calls, uniqueEmail } = require("./support");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  storeReferralCredit,
+  getTotalCreditForCustomer,
+  withCustomerLock
+} = require("../src/services/creditService");
+const { handleSubscriptionBilling } = require("../src/services/walletService");
+const {
+  markCodeRedeemed,
+  restoreRefundedCredit
+} = require("../src/services/discountCodeRegistry");
+
+let nextId = 2000;
+
+/**
+ * A customer whose $30 credit code was redeemed on a Shopify order.
+ */
+async function redeemedCode() {
+  const email = uniqueEmail();
+  nextId += 1;
+  storeReferralCredit({ id: nextId, commission: 30, customer_email: email });
+
+  const subscriptionId = `sub-${nextId}`;
+  await handleSubscriptionBilling({ subscriptionId, customerEmail: email, totalValue: 30 });
+  const { code } = calls.minted.find((m) => m.subscriptionId === subscriptionId);
+
+  const orderId = `order-${nextId}`;
+  markCodeRedeemed(code, { orderId, amount: 30 });
+  return { email, code, orderId };
+}
+
+test("two partial refunds on one redemption each restore their amount", async () => {
+  const { email, code, orderId } = await redeemedCode();
+  assert.equal(getTotalCreditForCustomer(email), 0);
+
+  const first = await restoreRefundedCredit({ code, orderId, refundId: "r-1", amount: 10 });
+  const second = await restoreRefundedCredit({ code, orderId, refundId: "r-2", amount: 10 });
+
+  assert.equal(first.restored, 10);
+  assert.equal(second.restored, 10);
+  assert.equal(getTotalCreditForCustomer(email), 20);
+});
+
+test("refunds never restore more than the redemption used", async () => {
+  const { email, code, orderId } = await redeemedCode();
+
+  await restoreRefundedCredit({ code, orderId, refundId: "r-1", amount: 20 });
+  const rest = await restoreRefundedCredit({ code, orderId, refundId: "r-2", amount: 20 });
+
+  assert.equal(rest.restored, 10);
+  assert.equal(getTotalCreditForCustomer(email), 30);
+});
+
+test("a redelivered refund is restored once", async () => {
+  const { email, code, orderId } = await redeemedCode();
+
+  await restoreRefundedCredit({ code, orderId, refundId: "r-1", amount: 10 });
+  const again = await restoreRefundedCredit({ code, orderId, refundId: "r-1", amount: 10 });
+
+  assert.equal(again.duplicate, true);
+  assert.equal(getTotalCreditForCustomer(email), 10);
+});
+
+test("a refund waits for a spend holding the account's lock", async () => {
+  const { email, code, orderId } = await redeemedCode();
+  let releaseSpend;
+  const spend = withCustomerLock(email, () => new Promise((resolve) => {
+    releaseSpend = resolve;
+  }));
+
+  const refund = restoreRefundedCredit({ code, orderId, refundId: "r-1", amount: 10 });
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(getTotalCreditForCustomer(email), 0);
+
+  releaseSpend();
+  await spend;
+  assert.equal((await refund).restored, 10);
+  assert.equal(getTotalCreditForCustomer(email), 10);
+});
@@ -0,0 +1,39 @@
+// test/retention.test.js
+require("./support");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const store = require("../src/storage");
+const { pruneFinishedRecords } = require("../src/services/retention");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * DAY_MS).toISOString();
+}
+
+test("finished records past the retention window are pruned, open ones kept", () => {
+  store.transaction((state) => {
+    state.jobs.push(
+      { id: "job-old", status: "completed", completedAt: daysAgo(40) },
+      { id: "job-recent", status: "completed", completedAt: daysAgo(2) },
+      { id: "job-dead", status: "dead", completedAt: null, updatedAt: daysAgo(90) }
+    );
+    state.processedEvents["test:old"] = { key: "test:old", status: "completed", completedAt: daysAgo(40) };
+    state.processedEvents["test:open"] = { key: "test:open", status: "processing", receivedAt: daysAgo(40) };
+    state.outbox.push(
+      { id: "out-delivered", status: "delivered", deliveredAt: daysAgo(40) },
+      { id: "out-resolved", status: "resolved", resolution: { resolvedAt: daysAgo(40) } },
+      { id: "out-pending", status: "pending", createdAt: daysAgo(40) }
+    );
+  });
+
+  const removed = pruneFinishedRecords();
+
+  assert.deepEqual(removed, { jobs: 1, events: 1, outbox: 2 });
+  store.read((state) => {
+    assert.deepEqual(state.jobs.map((job) => job.id).sort(), ["job-dead", "job-recent"]);
+    assert.deepEqual(Object.keys(state.processedEvents), ["test:open"]);
+    assert.deepEqual(state.outbox.map((item) => item.id), ["out-pending"]);
+  });
+});
@@ -0,0 +1,195 @@
+// test/shopifyClient.test.js
+// Runs the real Shopify client against a fake Admin GraphQL API: the
+// credentials below make it configure its HTTP client, and axios hands
+// every request to the fake instead of the network.
+process.env.SHOPIFY_STORE = "test-shop.myshopify.com";
+process.env.SHOPIFY_ADMIN_ACCESS_TOKEN = "test-token";
+const axios = require("axios");
+const shopify = createFakeShopify();
+axios.defaults.adapter = shopify.adapter;
+
+const { uniqueEmail } = require("./support");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const config = require("../src/config");
+const {
+  storeReferralCredit,
+  consumeReferralCredit,
+  getTotalCreditForCustomer
+} = require("../src/services/creditService");
+const {
+  registerDiscountCode,
+  getDiscountCode
+} = require("../src/services/discountCodeRegistry");
+const { getOrCreateDiscountCode } = require("../src/services/shopifyClient");
+
+/**
+ * Just enough of the Admin GraphQL API for the discount code calls:
+ * customers by email, and basic codes that can be created, looked up,
+ * searched, updated and deactivated.
+ */
+function createFakeShopify() {
+  const fake = {
+    customers: new Map(),
+    codes: new Map(),
+    updates: [],
+    // Answer the next N creates with TAKEN, as if the code belonged to another discount
+    takeNext: 0,
+    taken: []
+  };
+  let nextId = 0;
+
+  function codeNode(code, rec) {
+    return {
+      id: rec.id,
+      codeDiscount: {
+        status: rec.status,
+        customerGets: { value: { amount: { amount: String(rec.amount) } } }
+      }
+    };
+  }
+
+  function handle(query, variables) {
+    if (query.includes("customerByEmail")) {
+      const email = variables.query.match(/email:"(.*)"/)[1];
+      const id = fake.customers.get(email);
+      return { customers: { edges: id ? [{ node: { id, email } }] : [] } };
+    }
+    if (query.includes("discountCodeBasicCreate")) {
+      const input = variables.basicCodeDiscount;
+      if (fake.takeNext > 0 || fake.codes.has(input.code)) {
+        fake.takeNext = Math.max(0, fake.takeNext - 1);
+        fake.taken.push(input.code);
+        const userErrors = [{ field: ["basicCodeDiscount", "code"], code: "TAKEN", message: "Code must be unique." }];
+        return { discountCodeBasicCreate: { codeDiscountNode: null, userErrors } };
+      }
+      nextId += 1;
+      const rec = {
+        id: `gid://shopify/DiscountCodeNode/${nextId}`,
+        status: "ACTIVE",
+        amount: Number(input.customerGets.value.discountAmount.amount),
+        customerSelection: input.customerSelection
+      };
+      fake.codes.set(input.code, rec);
+      return { discountCodeBasicCreate: { codeDiscountNode: { id: rec.id }, userErrors: [] } };
+    }
+    if (query.includes("codeDiscountNodeByCode")) {
+      const rec = fake.codes.get(variables.code);
+      return { codeDiscountNodeByCode: rec ? codeNode(variables.code, rec) : null };
+    }
+    if (query.includes("codeDiscountNodeSearch")) {
+      const code = variables.query.replace(/^code:/, "");
+      const rec = fake.codes.get(code);
+      return { codeDiscountNodes: { edges: rec ? [{ node: { id: rec.id } }] : [] } };
+    }
+    const byId = (id) => [...fake.codes.values()].find((rec) => rec.id === id);
+    if (query.includes("discountCodeBasicUpdate")) {
+      const amount = Number(variables.basicCodeDiscount.customerGets.value.discountAmount.amount);
+      byId(variables.id).amount = amount;
+      fake.updates.push({ id: variables.id, amount });
+      return { discountCodeBasicUpdate: { codeDiscountNode: { id: variables.id }, userErrors: [] } };
+    }
+    if (query.includes("discountCodeDeactivate")) {
+      byId(variables.id).status = "EXPIRED";
+      return { discountCodeDeactivate: { codeDiscountNode: { id: variables.id }, userErrors: [] } };
+    }
+    throw new Error(`Fake Shopify has no answer for: ${query.trim().split("\n")[0]}`);
+  }
+
+  fake.adapter = async (request) => {
+    const { query, variables } = JSON.parse(request.data);
+    return {
+      data: { data: handle(query, variables || {}) },
+      status: 200,
+      statusText: "OK",
+      headers: {},
+      config: request
+    };
+  };
+  return fake;
+}
+
+function shopifyCustomer() {
+  const email = uniqueEmail();
+  const id = `gid://shopify/Customer/${shopify.customers.size + 1}`;
+  shopify.customers.set(email, id);
+  return { email, id };
+}
+
+test("a new code is random and restricted to the subscriber's Shopify customer", async () => {
+  const { email, id } = shopifyCustomer();
+
+  const code = await getOrCreateDiscountCode(25, 6001, email);
+
+  assert.match(code, /^AFFILIATE-[A-Z0-9]{10}$/);
+  assert.deepEqual(shopify.codes.get(code).customerSelection, { customers: { add: [id] } });
+  assert.equal(getDiscountCode(code).mintedFor, 6001);
+});
+
+test("without a Shopify customer no code is minted unless unrestricted codes are allowed", async (t) => {
+  const email = uniqueEmail();
+  const before = shopify.codes.size;
+
+  await assert.rejects(getOrCreateDiscountCode(25, 6002, email), (err) => err.customerNotFound === true);
+  assert.equal(shopify.codes.size, before);
+
+  config.allowUnrestrictedCodes = true;
+  t.after(() => {
+    config.allowUnrestrictedCodes = false;
+  });
+  const code = await getOrCreateDiscountCode(25, 6002, email);
+  assert.deepEqual(shopify.codes.get(code).customerSelection, { all: true });
+});
+
+test("the registered code is reused; its amount only changes while nothing was spent on it", async () => {
+  const { email } = shopifyCustomer();
+  storeReferralCredit({ id: 6003, commission: 100, customer_email: email });
+
+  const code = await getOrCreateDiscountCode(25, 6003, email);
+  assert.equal(await getOrCreateDiscountCode(20, 6003, email), code);
+  assert.equal(shopify.codes.get(code).amount, 20);
+
+  consumeReferralCredit(6003, 20, { discountCode: code });
+  assert.equal(await getOrCreateDiscountCode(10, 6003, email), code);
+  assert.equal(shopify.codes.get(code).amount, 20);
+  assert.equal(getDiscountCode(code).amount, 20);
+});
+
+test("a legacy AFFILIATE-<referralId> code is deactivated and replaced", async () => {
+  const { email, id } = shopifyCustomer();
+  const legacyCode = "AFFILIATE-6004";
+  shopify.codes.set(legacyCode, {
+    id: "gid://shopify/DiscountCodeNode/legacy",
+    status: "ACTIVE",
+    amount: 30,
+    customerSelection: { all: true }
+  });
+  storeReferralCredit({ id: 6004, commission: 100, customer_email: email });
+  registerDiscountCode({ code: legacyCode, amount: 30, referralIds: [6004], mintedFor: 6004 });
+  consumeReferralCredit(6004, 30, { discountCode: legacyCode });
+
+  const code = await getOrCreateDiscountCode(30, 6004, email);
+
+  assert.notEqual(code, legacyCode);
+  assert.equal(shopify.codes.get(legacyCode).status, "EXPIRED");
+  assert.equal(shopify.codes.get(legacyCode).amount, 30);
+  assert.equal(getDiscountCode(legacyCode).status, "replaced");
+  // What was spent on the legacy code is back, to be spent on its successor
+  assert.equal(getTotalCreditForCustomer(email), 100);
+  assert.deepEqual(shopify.codes.get(code).customerSelection, { customers: { add: [id] } });
+});
+
+test("a generated code that already exists is regenerated, never taken over", async () => {
+  const { email } = shopifyCustomer();
+  shopify.takeNext = 1;
+  const updatesBefore = shopify.updates.length;
+
+  const code = await getOrCreateDiscountCode(25, 6005, email);
+
+  const [collided] = shopify.taken.slice(-1);
+  assert.notEqual(code, collided);
+  assert.equal(getDiscountCode(collided), null);
+  assert.equal(shopify.updates.length, updatesBefore);
+  assert.equal(shopify.codes.get(code).status, "ACTIVE");
+});
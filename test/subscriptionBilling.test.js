@@ -0,0 +1,122 @@
+// test/subscriptionBilling.test.js
+const { calls, uniqueEmail } = require("./support");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+
+const {
+  storeReferralCredit,
+  getTotalCreditForCustomer,
+  getOpenSubscriptionApplications,
+  consumeReferralCredit
+} = require("../src/services/creditService");
+const { handleSubscriptionBilling } = require("../src/services/walletService");
+const { processJobs } = require("../src/services/jobQueue");
+const sealWebhooks = require("../src/routes/sealWebhooks");
+
+let nextId = 1000;
+
+function approvedReferral(customerEmail, commission) {
+  nextId += 1;
+  storeReferralCredit({ id: nextId, commission, customer_email: customerEmail });
+  return nextId;
+}
+
+function mintedFor(subscriptionId) {
+  return calls.minted.filter((m) => String(m.subscriptionId) === String(subscriptionId));
+}
+
+test("a billing delivered twice settles and spends once", async () => {
+  const email = uniqueEmail();
+  const subscriptionId = "sub-twice";
+  approvedReferral(email, 100);
+
+  const billing = { subscriptionId, customerEmail: email, totalValue: 30, orderId: "order-1" };
+  const first = await handleSubscriptionBilling(billing);
+  assert.equal(first.usedCredit, 30);
+
+  // The same webhook again (e.g. without Seal's order ID): the code attached
+  // for the next order stays open and nothing new is minted
+  const { orderId, ...withoutOrder } = billing;
+  const second = await handleSubscriptionBilling(withoutOrder);
+  assert.equal(second.message, "credit-already-attached");
+  assert.equal(second.usedCredit, 0);
+
+  assert.equal(mintedFor(subscriptionId).length, 1);
+  assert.equal(getOpenSubscriptionApplications(subscriptionId).length, 1);
+  assert.equal(getTotalCreditForCustomer(email), 70);
+});
+
+test("the next billed order settles the open code and attaches a new one", async () => {
+  const email = uniqueEmail();
+  const subscriptionId = "sub-next";
+  approvedReferral(email, 50);
+
+  await handleSubscriptionBilling({ subscriptionId, customerEmail: email, totalValue: 30, orderId: "o-1" });
+  const next = await handleSubscriptionBilling({
+    subscriptionId,
+    customerEmail: email,
+    totalValue: 30,
+    orderId: "o-2"
+  });
+
+  assert.equal(next.usedCredit, 20);
+  assert.equal(mintedFor(subscriptionId).length, 2);
+  assert.equal(getTotalCreditForCustomer(email), 0);
+});
+
+test("a code the balance no longer covers is discarded instead of attached", async (t) => {
+  const email = uniqueEmail();
+  const subscriptionId = "sub-shortfall";
+  const referralId = approvedReferral(email, 100);
+  // A balance change that skipped the account's lock lands mid-attach
+  calls.onApply = async () => {
+    consumeReferralCredit(referralId, 60, { reason: "test" });
+  };
+  t.after(() => {
+    calls.onApply = null;
+  });
+
+  await assert.rejects(
+    handleSubscriptionBilling({ subscriptionId, customerEmail: email, totalValue: 50, orderId: "o-9" }),
+    /no longer covers/
+  );
+
+  const [{ code }] = mintedFor(subscriptionId);
+  assert.ok(calls.deactivated.includes(code));
+  assert.ok(calls.removed.some((r) => r.discountCode === code && r.subscriptionId === subscriptionId));
+  assert.equal(getOpenSubscriptionApplications(subscriptionId).length, 0);
+  assert.equal(getTotalCreditForCustomer(email), 40);
+});
+
+test("the Seal route answers a redelivered billed order as a duplicate", async (t) => {
+  const app = express();
+  app.use("/webhooks/seal", express.raw({ type: "application/json" }), sealWebhooks);
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}/webhooks/seal/subscription`;
+
+  const email = uniqueEmail();
+  const subscriptionId = "sub-route";
+  approvedReferral(email, 40);
+
+  const body = JSON.stringify({
+    payload: { id: subscriptionId, email, total_value: 25, status: "ACTIVE", order_id: "o-77" }
+  });
+  const post = () =>
+    fetch(url, { method: "POST", headers: { "content-type": "application/json" }, body }).then(
+      (res) => res.json()
+    );
+
+  const first = await post();
+  assert.equal(first.queued, true);
+  await processJobs();
+
+  const second = await post();
+  assert.equal(second.duplicate, true);
+  assert.equal(second.usedCredit, 25);
+  await processJobs();
+
+  assert.equal(mintedFor(subscriptionId).length, 1);
+  assert.equal(getTotalCreditForCustomer(email), 15);
+});
@@ -0,0 +1,103 @@
+// test/support.js
+// Shared setup for the node:test suites. Require it first: it switches the
+// ledger to the in-memory store and stubs the Seal, Shopify and UpPromote
+// calls before any service captures them.
+process.env.STORAGE_DRIVER = "memory";
+process.env.CREDIT_SPEND_MODE = process.env.CREDIT_SPEND_MODE || "billing";
+
+// The services log every step; TEST_LOGS=1 shows them
+if (!process.env.TEST_LOGS) {
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
+
+const upPromoteClient = require("../src/services/upPromoteClient");
+const shopifyClient = require("../src/services/shopifyClient");
+const sealClient = require("../src/services/sealClient");
+
+// Everything the stubs were asked to do
+const calls = {
+  adjustments: [],
+  minted: [],
+  applied: [],
+  deactivated: [],
+  removed: [],
+  // Optional hook run while Seal attaches a code, e.g. to move the balance
+  onApply: null,
+};
+
+upPromoteClient.addReferralAdjustment = async (referralId, amount) => {
+  calls.adjustments.push({ referralId, amount });
+  return { status: "success" };
+};
+
+shopifyClient.isShopifyConfigured = true;
+shopifyClient.createBillingDiscountCode = async (amount, subscriptionId, customerEmail) => {
+  const code = `CREDIT-TEST${calls.minted.length + 1}`;
+  calls.minted.push({ code, amount, subscriptionId });
+  // Like the real client: freshly minted codes are registered
+  require("../src/services/discountCodeRegistry").registerDiscountCode({
+    code,
+    amount,
+    customerEmail,
+    mintedFor: `billing-${subscriptionId}`,
+  });
+  return code;
+};
+shopifyClient.deactivateDiscountCode = async (discountCode) => {
+  calls.deactivated.push(discountCode);
+  return { deactivated: true };
+};
+
+sealClient.applyDiscountCode = async (subscriptionId, discountCode) => {
+  calls.applied.push({ subscriptionId, discountCode });
+  if (calls.onApply) await calls.onApply(subscriptionId, discountCode);
+  return { success: true };
+};
+sealClient.removeDiscountCode = async (subscriptionId, discountCode) => {
+  calls.removed.push({ subscriptionId, discountCode });
+  return { success: true };
+};
+
+// Approval-mode spends: every customer has one subscription worth
+// `calls.orderValue`, and a retried spend gets back the active code minted
+// for the referral, like the real get-or-create does
+calls.orderValue = 30;
+sealClient.getSubscriptionsAndApplyDiscount = async (emails, _code, amount, referralId) => {
+  const registry = require("../src/services/discountCodeRegistry");
+  const subscriptionId = `sub-${emails[0]}`;
+  const discountAmount = Math.min(amount, calls.orderValue);
+  let code = registry.findActiveCodeForReferral(referralId)?.code;
+  if (!code) {
+    code = `AFFILIATE-TEST${calls.minted.length + 1}`;
+    calls.minted.push({ code, amount: discountAmount, referralId });
+    registry.registerDiscountCode({ code, amount: discountAmount, mintedFor: referralId });
+  }
+  calls.applied.push({ subscriptionId, discountCode: code });
+  return {
+    success: true,
+    strategy: "all",
+    subscriptionIds: [subscriptionId],
+    appliedCount: 1,
+    discountCode: code,
+    discountAmount,
+    appliedDiscounts: [{ subscriptionId, discountCode: code, amount: discountAmount }],
+  };
+};
+
+let emailCounter = 0;
+
+/**
+ * A fresh customer email per test, since the in-memory ledger is shared
+ * by every test in a file.
+ */
+function uniqueEmail(prefix = "customer") {
+  emailCounter += 1;
+  return `${prefix}${emailCounter}@example.com`;
+}
+
+module.exports = {
+  calls,
+  uniqueEmail,
+};